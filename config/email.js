@@ -0,0 +1,87 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing mail over SMTP: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS.
+// EMAIL_FROM is the sender, REPORTS_EMAIL the address that receives new venue reports.
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const sendMail = ({ to, subject, html }) => getTransporter().sendMail({
+  from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+  to,
+  subject,
+  html
+});
+
+// New venue report, to the moderators' address
+const sendFieldReportEmail = ({ fieldName, fieldAddress, reportType, description, reporterUsername, reportDate }) => sendMail({
+  to: process.env.REPORTS_EMAIL || process.env.EMAIL_FROM || process.env.SMTP_USER,
+  subject: `Nuova segnalazione: ${fieldName}`,
+  html: `
+    <h2>Nuova segnalazione di un impianto</h2>
+    <p><strong>Impianto:</strong> ${escapeHtml(fieldName)}</p>
+    <p><strong>Indirizzo:</strong> ${escapeHtml(fieldAddress)}</p>
+    <p><strong>Tipo:</strong> ${escapeHtml(reportType)}</p>
+    <p><strong>Descrizione:</strong> ${escapeHtml(description || '-')}</p>
+    <p><strong>Segnalato da:</strong> ${escapeHtml(reporterUsername)} il ${escapeHtml(reportDate)}</p>
+  `
+});
+
+// Tells the reporter that a moderator resolved their report
+const sendReportResolvedEmail = ({ to, reporterUsername, fieldName, reportType, resolutionNote, resolvedDate }) => sendMail({
+  to,
+  subject: `La tua segnalazione su ${fieldName} è stata risolta`,
+  html: `
+    <p>Ciao ${escapeHtml(reporterUsername)},</p>
+    <p>la tua segnalazione (${escapeHtml(reportType)}) sull'impianto <strong>${escapeHtml(fieldName)}</strong>
+       è stata risolta il ${escapeHtml(resolvedDate)}.</p>
+    <p><strong>Nota del moderatore:</strong> ${escapeHtml(resolutionNote)}</p>
+    <p>Grazie per aver contribuito a mantenere la mappa aggiornata!</p>
+  `
+});
+
+const sendVerificationEmail = ({ to, username, verifyUrl }) => sendMail({
+  to,
+  subject: 'Conferma il tuo indirizzo email',
+  html: `
+    <p>Ciao ${escapeHtml(username)},</p>
+    <p>conferma il tuo indirizzo email aprendo questo link:</p>
+    <p><a href="${escapeHtml(verifyUrl)}">${escapeHtml(verifyUrl)}</a></p>
+    <p>Se non ti sei registrato puoi ignorare questo messaggio.</p>
+  `
+});
+
+const sendPasswordResetEmail = ({ to, username, resetUrl }) => sendMail({
+  to,
+  subject: 'Reimposta la tua password',
+  html: `
+    <p>Ciao ${escapeHtml(username)},</p>
+    <p>per scegliere una nuova password apri questo link, valido per un'ora:</p>
+    <p><a href="${escapeHtml(resetUrl)}">${escapeHtml(resetUrl)}</a></p>
+    <p>Se non hai chiesto tu il reset puoi ignorare questo messaggio.</p>
+  `
+});
+
+module.exports = {
+  sendFieldReportEmail,
+  sendReportResolvedEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
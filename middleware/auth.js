@@ -0,0 +1,93 @@
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { isBanned } = require('../utils/sessions');
+
+// Resolve the Bearer token of a request to the acting user. The role and ban state are read from the
+// database on every request, so promotions, bans and revoked sessions apply immediately rather than when
+// the token expires. Resolves to { user }, { error: { status, message, code } } or {} when no token is sent.
+const resolveUser = async (req) => {
+  const header = req.header('Authorization');
+  const token = header && header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    return {};
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+  } catch (error) {
+    return error.name === 'TokenExpiredError'
+      ? { error: { status: 401, message: 'Token scaduto', code: 'TOKEN_EXPIRED' } }
+      : { error: { status: 401, message: 'Token non valido', code: 'TOKEN_INVALID' } };
+  }
+
+  // Mailed tokens (verification, password reset) are signed too but are not access tokens
+  if (payload.purpose) {
+    return { error: { status: 401, message: 'Token non valido', code: 'TOKEN_INVALID' } };
+  }
+
+  const result = await pool.query(`
+    SELECT u.username, u.role, u.banned_at, u.banned_until, u.ban_reason,
+           s.id as session_id, s.revoked_at
+    FROM users u
+    LEFT JOIN user_sessions s ON s.id = $2 AND s.user_id = u.id
+    WHERE u.id = $1
+  `, [payload.userId, payload.sid || null]);
+
+  const account = result.rows[0];
+  if (!account) {
+    return { error: { status: 401, message: 'Utente non trovato', code: 'TOKEN_INVALID' } };
+  }
+
+  // Tokens issued before sessions existed carry no sid and simply run until they expire
+  if (payload.sid && (!account.session_id || account.revoked_at)) {
+    return { error: { status: 401, message: 'Sessione revocata, effettua di nuovo il login', code: 'SESSION_REVOKED' } };
+  }
+
+  if (isBanned(account)) {
+    return {
+      error: {
+        status: 403,
+        message: account.banned_until ? 'Account sospeso' : 'Account bannato',
+        code: 'ACCOUNT_BANNED',
+        banned_until: account.banned_until,
+        reason: account.ban_reason
+      }
+    };
+  }
+
+  return {
+    user: {
+      userId: payload.userId,
+      username: account.username,
+      role: account.role,
+      is_admin: account.role === 'admin',
+      sid: payload.sid || null
+    }
+  };
+};
+
+const auth = async (req, res, next) => {
+  try {
+    const { user, error } = await resolveUser(req);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    if (!user) {
+      return res.status(401).json({ message: 'Accesso negato, token mancante', code: 'TOKEN_MISSING' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = auth;
+module.exports.resolveUser = resolveUser;
@@ -0,0 +1,18 @@
+const { resolveUser } = require('./auth');
+
+// Like auth, but never rejects: sets req.user when a valid Bearer token is present, otherwise leaves it null
+const optionalAuth = async (req, res, next) => {
+  req.user = null;
+
+  try {
+    // Invalid, expired or banned tokens are treated as anonymous requests
+    const { user } = await resolveUser(req);
+    req.user = user || null;
+  } catch (error) {
+    console.error('Error reading optional token:', error);
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,42 @@
+// Roles in increasing order of power: each role has every permission of the ones before it
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Permission -> lowest role that holds it
+const PERMISSIONS = {
+  // Hide or restore venues and photos, delete any photo, handle venue and review reports, moderate reviews
+  'content.moderate': 'moderator',
+  // Cancel any pickup game
+  'events.manage_any': 'moderator',
+  // Edit, delete or revert any venue, review edit proposals, manage any venue's booking slots
+  'venues.manage_any': 'admin',
+  // Merge duplicate venues
+  'venues.merge': 'admin',
+  // Admin user API: list, ban and promote users
+  'users.manage': 'admin'
+};
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+// Whether req.user (as set by auth) holds a permission
+const hasPermission = (user, permission) => {
+  const minimumRole = PERMISSIONS[permission];
+  if (!minimumRole) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+  return Boolean(user) && roleRank(user.role) >= roleRank(minimumRole);
+};
+
+// Use after auth: rejects users without the permission
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  requirePermission
+};
@@ -0,0 +1,22 @@
+const pool = require('../config/database');
+
+// Use after auth: rejects users who have not confirmed their email address yet
+const requireVerified = async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT email_verified_at FROM users WHERE id = $1', [req.user.userId]);
+
+    if (!result.rows[0]?.email_verified_at) {
+      return res.status(403).json({
+        message: 'Conferma il tuo indirizzo email per usare questa funzione',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking email verification:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = requireVerified;
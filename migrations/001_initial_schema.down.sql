@@ -0,0 +1,6 @@
+-- Drop every table of the initial schema, dependants first
+
+DROP TABLE IF EXISTS venue_reports;
+DROP TABLE IF EXISTS field_images;
+DROP TABLE IF EXISTS sports_venues;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,62 @@
+-- Initial schema, as created by the former POST /api/fields/init-db endpoint.
+-- Databases created by that endpoint already match it: adopt the runner with "migrate.js baseline 001",
+-- then "migrate.js up" applies the later migrations.
+
+-- Create users table
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(50) UNIQUE NOT NULL,
+  email VARCHAR(100) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  is_admin BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create sports_venues table with all required columns
+CREATE TABLE sports_venues (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+  address TEXT,
+  city VARCHAR(100),
+  province VARCHAR(10),
+  region VARCHAR(100),
+  sport_type VARCHAR(50) NOT NULL,
+  surface_type VARCHAR(50),
+  venue_type VARCHAR(50),
+  is_public BOOLEAN DEFAULT true,
+  has_lighting BOOLEAN DEFAULT false,
+  has_changing_rooms BOOLEAN DEFAULT false,
+  has_parking BOOLEAN DEFAULT false,
+  opening_hours TEXT,
+  prices TEXT,
+  added_by_user_id INTEGER REFERENCES users(id),
+  added_by_username VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create field_images table
+CREATE TABLE field_images (
+  id SERIAL PRIMARY KEY,
+  field_id INTEGER REFERENCES sports_venues(id) ON DELETE CASCADE,
+  image_url VARCHAR(500) NOT NULL,
+  uploaded_by INTEGER REFERENCES users(id),
+  uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  is_primary BOOLEAN DEFAULT false
+);
+
+-- Create venue_reports table
+CREATE TABLE venue_reports (
+  id SERIAL PRIMARY KEY,
+  venue_id INTEGER REFERENCES sports_venues(id) ON DELETE CASCADE,
+  reported_by_user_id INTEGER REFERENCES users(id),
+  report_type VARCHAR(50) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,9 @@
+-- Folding football_fields into sports_venues cannot be undone automatically: migrated venues may have been
+-- edited, reviewed or merged since. football_fields_legacy and football_field_migration_map are kept for
+-- a manual rollback.
+
+DO $$
+BEGIN
+  RAISE EXCEPTION '002_fold_football_fields_into_sports_venues is irreversible, see football_fields_legacy';
+END
+$$;
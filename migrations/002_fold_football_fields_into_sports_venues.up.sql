@@ -0,0 +1,102 @@
+-- Fold the legacy football_fields table into sports_venues (sport_type 'football').
+-- Images and reports follow their venue. An id present in both tables is ambiguous: its images and
+-- reports stay with the sports_venues row and are counted in the NOTICE. The legacy table is kept as
+-- football_fields_legacy and the id mapping in football_field_migration_map, for manual checks.
+-- Databases that never had football_fields are left untouched.
+
+DO $$
+DECLARE
+  common_columns TEXT;
+  venue_type_source TEXT;
+  legacy_fk RECORD;
+  migrated_count INTEGER;
+  ambiguous_count INTEGER;
+BEGIN
+  IF to_regclass('football_fields') IS NULL THEN
+    RAISE NOTICE 'No football_fields table, nothing to migrate';
+    RETURN;
+  END IF;
+
+  -- Foreign keys pointing at football_fields would block remapping their rows to sports_venues
+  FOR legacy_fk IN
+    SELECT conrelid::regclass AS table_name, conname FROM pg_constraint
+    WHERE contype = 'f' AND confrelid = 'football_fields'::regclass
+  LOOP
+    EXECUTE format('ALTER TABLE %s DROP CONSTRAINT %I', legacy_fk.table_name, legacy_fk.conname);
+  END LOOP;
+
+  ALTER TABLE sports_venues ADD COLUMN legacy_football_field_id INTEGER;
+
+  -- Copy every column the two tables share; the legacy field_type becomes venue_type
+  SELECT string_agg(quote_ident(ff.column_name), ', ' ORDER BY ff.ordinal_position)
+  INTO common_columns
+  FROM information_schema.columns ff
+  JOIN information_schema.columns sv
+    ON sv.table_schema = ff.table_schema AND sv.table_name = 'sports_venues' AND sv.column_name = ff.column_name
+  WHERE ff.table_schema = current_schema() AND ff.table_name = 'football_fields'
+    AND ff.column_name NOT IN ('id', 'sport_type', 'venue_type', 'legacy_football_field_id');
+
+  SELECT CASE
+    WHEN bool_or(column_name = 'venue_type') THEN 'venue_type'
+    WHEN bool_or(column_name = 'field_type') THEN 'field_type'
+    ELSE 'NULL'
+  END
+  INTO venue_type_source
+  FROM information_schema.columns
+  WHERE table_schema = current_schema() AND table_name = 'football_fields';
+
+  EXECUTE format(
+    'INSERT INTO sports_venues (%1$s, sport_type, venue_type, legacy_football_field_id)
+     SELECT %1$s, %2$L, %3$s, id FROM football_fields ORDER BY id',
+    common_columns, 'football', venue_type_source
+  );
+
+  CREATE TABLE football_field_migration_map (
+    football_field_id INTEGER PRIMARY KEY,
+    venue_id INTEGER NOT NULL REFERENCES sports_venues(id) ON DELETE CASCADE,
+    ambiguous BOOLEAN NOT NULL DEFAULT false
+  );
+
+  INSERT INTO football_field_migration_map (football_field_id, venue_id, ambiguous)
+  SELECT v.legacy_football_field_id, v.id, EXISTS (
+    SELECT 1 FROM sports_venues original
+    WHERE original.id = v.legacy_football_field_id AND original.legacy_football_field_id IS NULL
+  )
+  FROM sports_venues v
+  WHERE v.legacy_football_field_id IS NOT NULL;
+
+  GET DIAGNOSTICS migrated_count = ROW_COUNT;
+  SELECT COUNT(*) INTO ambiguous_count FROM football_field_migration_map m WHERE m.ambiguous;
+
+  -- A single UPDATE sees the pre-migration ids, so a remapped row is never remapped twice
+  UPDATE field_images fi SET field_id = m.venue_id
+  FROM football_field_migration_map m
+  WHERE fi.field_id = m.football_field_id AND NOT m.ambiguous;
+
+  UPDATE venue_reports r SET venue_id = m.venue_id
+  FROM football_field_migration_map m
+  WHERE r.venue_id = m.football_field_id AND NOT m.ambiguous;
+
+  ALTER TABLE sports_venues DROP COLUMN legacy_football_field_id;
+  ALTER TABLE football_fields RENAME TO football_fields_legacy;
+
+  -- Make sure images and reports reference sports_venues from now on (existing rows are not rechecked)
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE contype = 'f' AND conrelid = 'field_images'::regclass AND confrelid = 'sports_venues'::regclass
+  ) THEN
+    ALTER TABLE field_images ADD CONSTRAINT field_images_field_id_fkey
+      FOREIGN KEY (field_id) REFERENCES sports_venues(id) ON DELETE CASCADE NOT VALID;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE contype = 'f' AND conrelid = 'venue_reports'::regclass AND confrelid = 'sports_venues'::regclass
+  ) THEN
+    ALTER TABLE venue_reports ADD CONSTRAINT venue_reports_venue_id_fkey
+      FOREIGN KEY (venue_id) REFERENCES sports_venues(id) ON DELETE CASCADE NOT VALID;
+  END IF;
+
+  RAISE NOTICE 'Migrated % football_fields row(s) into sports_venues, % with ambiguous ids', migrated_count, ambiguous_count;
+END
+$$;
@@ -0,0 +1,7 @@
+-- Shared cache of geocoding results (reverse lookups keyed on rounded coordinates, searches on the query)
+
+CREATE TABLE geocode_cache (
+  cache_key VARCHAR(300) PRIMARY KEY,
+  result JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,26 @@
+DROP INDEX IF EXISTS venue_reports_status_idx;
+
+ALTER TABLE venue_reports
+  DROP COLUMN IF EXISTS resolution_note,
+  DROP COLUMN IF EXISTS resolved_by_user_id,
+  DROP COLUMN IF EXISTS resolved_at;
+
+ALTER TABLE field_images
+  DROP COLUMN IF EXISTS medium_url,
+  DROP COLUMN IF EXISTS thumbnail_url,
+  DROP COLUMN IF EXISTS caption,
+  DROP COLUMN IF EXISTS sort_order,
+  DROP COLUMN IF EXISTS is_hidden,
+  DROP COLUMN IF EXISTS hidden_at,
+  DROP COLUMN IF EXISTS hidden_by_user_id;
+
+DROP INDEX IF EXISTS sports_venues_location_idx;
+
+ALTER TABLE sports_venues
+  DROP COLUMN IF EXISTS opening_hours_schedule,
+  DROP COLUMN IF EXISTS price_list,
+  DROP COLUMN IF EXISTS min_price,
+  DROP COLUMN IF EXISTS max_price,
+  DROP COLUMN IF EXISTS is_hidden,
+  DROP COLUMN IF EXISTS hidden_at,
+  DROP COLUMN IF EXISTS visibility_reviewed_at;
@@ -0,0 +1,39 @@
+-- Columns added to venues, images and reports after the initial schema
+
+-- Parsed opening hours, structured prices and moderation state of venues
+ALTER TABLE sports_venues
+  ADD COLUMN opening_hours_schedule JSONB,
+  ADD COLUMN price_list JSONB,
+  ADD COLUMN min_price DECIMAL(8, 2),
+  ADD COLUMN max_price DECIMAL(8, 2),
+  ADD COLUMN is_hidden BOOLEAN DEFAULT false,
+  ADD COLUMN hidden_at TIMESTAMP,
+  ADD COLUMN visibility_reviewed_at TIMESTAMP;
+
+CREATE INDEX sports_venues_location_idx ON sports_venues (latitude, longitude);
+
+-- Resized variants, captions, ordering and moderation of images
+ALTER TABLE field_images
+  ADD COLUMN medium_url VARCHAR(500),
+  ADD COLUMN thumbnail_url VARCHAR(500),
+  ADD COLUMN caption VARCHAR(200),
+  ADD COLUMN sort_order INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN is_hidden BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN hidden_at TIMESTAMP,
+  ADD COLUMN hidden_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Existing images keep their upload order
+UPDATE field_images fi SET sort_order = o.position - 1
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY field_id ORDER BY uploaded_at ASC, id ASC) as position
+  FROM field_images
+) o
+WHERE fi.id = o.id;
+
+-- Resolution of reports by moderators
+ALTER TABLE venue_reports
+  ADD COLUMN resolution_note TEXT,
+  ADD COLUMN resolved_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN resolved_at TIMESTAMP;
+
+CREATE INDEX venue_reports_status_idx ON venue_reports (status, created_at);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS venue_edit_proposals;
+DROP TABLE IF EXISTS venue_revisions;
@@ -0,0 +1,29 @@
+-- Edit history of venues and edit proposals by non-owners
+
+-- Create venue_revisions table (edit history, snapshot = state after the change)
+CREATE TABLE venue_revisions (
+  id SERIAL PRIMARY KEY,
+  venue_id INTEGER NOT NULL REFERENCES sports_venues(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  edited_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  changes JSONB NOT NULL DEFAULT '{}',
+  snapshot JSONB NOT NULL,
+  reverted_to_revision_id INTEGER REFERENCES venue_revisions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (venue_id, revision_number)
+);
+
+-- Create venue_edit_proposals table (edits by non-owners awaiting review)
+CREATE TABLE venue_edit_proposals (
+  id SERIAL PRIMARY KEY,
+  venue_id INTEGER NOT NULL REFERENCES sports_venues(id) ON DELETE CASCADE,
+  proposed_by_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  changes JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  reviewed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  review_note TEXT,
+  applied_revision_id INTEGER REFERENCES venue_revisions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  reviewed_at TIMESTAMP
+);
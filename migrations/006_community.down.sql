@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS venue_list_items;
+DROP TABLE IF EXISTS venue_lists;
+DROP TABLE IF EXISTS favorite_venues;
+DROP TABLE IF EXISTS review_reports;
+DROP TABLE IF EXISTS venue_reviews;
+DROP TABLE IF EXISTS event_participants;
+DROP TABLE IF EXISTS events;
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS booking_slots;
+DROP TABLE IF EXISTS friendships;
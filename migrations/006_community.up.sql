@@ -0,0 +1,113 @@
+-- Friends, bookings, pickup games, reviews and saved venues
+
+-- Create friendships table (one row per pair, requester -> addressee)
+CREATE TABLE friendships (
+  id SERIAL PRIMARY KEY,
+  requester_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  addressee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (requester_id <> addressee_id)
+);
+CREATE UNIQUE INDEX friendships_pair_idx
+ON friendships (LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id));
+
+-- Create booking_slots and bookings tables
+CREATE TABLE booking_slots (
+  id SERIAL PRIMARY KEY,
+  venue_id INTEGER NOT NULL REFERENCES sports_venues(id) ON DELETE CASCADE,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  price DECIMAL(8, 2),
+  created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at > starts_at)
+);
+CREATE INDEX booking_slots_venue_time_idx ON booking_slots (venue_id, starts_at);
+CREATE TABLE bookings (
+  id SERIAL PRIMARY KEY,
+  slot_id INTEGER NOT NULL REFERENCES booking_slots(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'confirmed',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  cancelled_at TIMESTAMP
+);
+-- At most one confirmed booking per slot
+CREATE UNIQUE INDEX bookings_confirmed_slot_idx ON bookings (slot_id) WHERE status = 'confirmed';
+
+-- Create events (pickup games) and event_participants tables
+CREATE TABLE events (
+  id SERIAL PRIMARY KEY,
+  venue_id INTEGER NOT NULL REFERENCES sports_venues(id) ON DELETE CASCADE,
+  organizer_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(100) NOT NULL,
+  description TEXT,
+  sport_type VARCHAR(50) NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 60,
+  skill_level VARCHAR(20) NOT NULL DEFAULT 'any',
+  max_players INTEGER NOT NULL CHECK (max_players >= 2),
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+  cancellation_reason TEXT,
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX events_status_starts_at_idx ON events (status, starts_at);
+CREATE TABLE event_participants (
+  event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'joined',
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (event_id, user_id)
+);
+
+-- Create venue_reviews (one per user per venue) and review_reports tables
+CREATE TABLE venue_reviews (
+  id SERIAL PRIMARY KEY,
+  venue_id INTEGER NOT NULL REFERENCES sports_venues(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  surface_rating SMALLINT CHECK (surface_rating BETWEEN 1 AND 5),
+  cleanliness_rating SMALLINT CHECK (cleanliness_rating BETWEEN 1 AND 5),
+  lighting_rating SMALLINT CHECK (lighting_rating BETWEEN 1 AND 5),
+  overall_rating DECIMAL(3, 2) NOT NULL,
+  comment TEXT,
+  is_hidden BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (venue_id, user_id)
+);
+CREATE TABLE review_reports (
+  id SERIAL PRIMARY KEY,
+  review_id INTEGER NOT NULL REFERENCES venue_reviews(id) ON DELETE CASCADE,
+  reported_by_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  reason VARCHAR(50) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (review_id, reported_by_user_id)
+);
+
+-- Create favorite_venues and saved venue lists tables
+CREATE TABLE favorite_venues (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  venue_id INTEGER NOT NULL REFERENCES sports_venues(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, venue_id)
+);
+CREATE TABLE venue_lists (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  visibility VARCHAR(20) NOT NULL DEFAULT 'private',
+  share_token VARCHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE venue_list_items (
+  list_id INTEGER NOT NULL REFERENCES venue_lists(id) ON DELETE CASCADE,
+  venue_id INTEGER NOT NULL REFERENCES sports_venues(id) ON DELETE CASCADE,
+  added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (list_id, venue_id)
+);
@@ -0,0 +1,13 @@
+-- Moderators lose their rights: the old schema only knew admins
+DROP TABLE IF EXISTS user_sessions;
+
+ALTER TABLE users ADD COLUMN is_admin BOOLEAN DEFAULT false;
+UPDATE users SET is_admin = (role = 'admin');
+
+ALTER TABLE users
+  DROP COLUMN role,
+  DROP COLUMN email_verified_at,
+  DROP COLUMN banned_at,
+  DROP COLUMN banned_until,
+  DROP COLUMN ban_reason,
+  DROP COLUMN banned_by_user_id;
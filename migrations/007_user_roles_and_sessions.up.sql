@@ -0,0 +1,33 @@
+-- Roles, email verification, bans and refresh-token sessions of user accounts
+
+-- is_admin becomes the role column: admins keep their rights, everyone else is a plain user
+ALTER TABLE users
+  ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+  ADD COLUMN email_verified_at TIMESTAMP,
+  ADD COLUMN banned_at TIMESTAMP,
+  ADD COLUMN banned_until TIMESTAMP,
+  ADD COLUMN ban_reason TEXT,
+  ADD COLUMN banned_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE users SET role = 'admin' WHERE is_admin = true;
+
+-- Accounts registered before verification existed are trusted as they are; only new sign-ups must verify
+UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+
+ALTER TABLE users DROP COLUMN is_admin;
+
+-- Login sessions: one row per device, holding the hash of its current refresh token
+CREATE TABLE user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  previous_token_hash VARCHAR(64),
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+CREATE INDEX user_sessions_user_idx ON user_sessions (user_id);
+CREATE INDEX user_sessions_previous_token_idx ON user_sessions (previous_token_hash);
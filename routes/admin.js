@@ -0,0 +1,259 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { ROLES, requirePermission } = require('../middleware/permissions');
+const pool = require('../config/database');
+const { parsePagination, buildPaginationMeta } = require('../utils/listing');
+const { withTransaction } = require('../utils/transaction');
+const { revokeAllSessions } = require('../utils/sessions');
+const { migrationStatus } = require('../utils/migrations');
+
+const router = express.Router();
+
+// Every route here is for admins only
+router.use(auth, requirePermission('users.manage'));
+
+const ADMIN_USER_COLUMNS = `
+  u.id, u.username, u.email, u.role, u.email_verified_at, u.created_at,
+  u.banned_at, u.banned_until, u.ban_reason, u.banned_by_user_id,
+  (u.banned_at IS NOT NULL AND (u.banned_until IS NULL OR u.banned_until > CURRENT_TIMESTAMP)) as is_banned
+`;
+
+const USER_STATUSES = ['active', 'banned'];
+
+// List and search users
+// Query: q (username or email), role, status (active | banned), page, limit
+router.get('/users', async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+    const pagination = parsePagination(req.query) || { page: 1, limit: 50, offset: 0 };
+
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ message: `Ruolo non valido. Valori ammessi: ${ROLES.join(', ')}` });
+    }
+
+    if (status !== undefined && !USER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Stato non valido. Valori ammessi: ${USER_STATUSES.join(', ')}` });
+    }
+
+    const params = [];
+    const conditions = [];
+
+    if (q && String(q).trim()) {
+      params.push(`%${String(q).trim()}%`);
+      conditions.push(`(u.username ILIKE $${params.length} OR u.email ILIKE $${params.length})`);
+    }
+
+    if (role) {
+      params.push(role);
+      conditions.push(`u.role = $${params.length}`);
+    }
+
+    if (status) {
+      const bannedSql = '(u.banned_at IS NOT NULL AND (u.banned_until IS NULL OR u.banned_until > CURRENT_TIMESTAMP))';
+      conditions.push(status === 'banned' ? bannedSql : `NOT ${bannedSql}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await pool.query(`SELECT COUNT(*)::int as total FROM users u ${where}`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const result = await pool.query(`
+      SELECT ${ADMIN_USER_COLUMNS}
+      FROM users u
+      ${where}
+      ORDER BY u.created_at DESC, u.id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    res.json({
+      users: result.rows,
+      pagination: buildPaginationMeta(pagination, countResult.rows[0].total)
+    });
+
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a user with activity counts
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const targetId = parseInt(req.params.userId, 10);
+    if (Number.isNaN(targetId)) {
+      return res.status(400).json({ message: 'ID utente non valido' });
+    }
+
+    const result = await pool.query(`
+      SELECT ${ADMIN_USER_COLUMNS},
+             (SELECT COUNT(*)::int FROM sports_venues f WHERE f.added_by_user_id = u.id) as venue_count,
+             (SELECT COUNT(*)::int FROM venue_reports r WHERE r.reported_by_user_id = u.id) as report_count,
+             (SELECT COUNT(*)::int FROM venue_reviews r WHERE r.user_id = u.id) as review_count,
+             (SELECT COUNT(*)::int FROM user_sessions s
+              WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) as active_sessions
+      FROM users u
+      WHERE u.id = $1
+    `, [targetId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(result.rows[0]);
+
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change the role of a user (promote or demote)
+router.put('/users/:userId/role', [
+  body('role').isIn(ROLES).withMessage(`Ruolo non valido. Valori ammessi: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const targetId = parseInt(req.params.userId, 10);
+    if (Number.isNaN(targetId)) {
+      return res.status(400).json({ message: 'ID utente non valido' });
+    }
+
+    // Keeps the last admin from locking everyone out by demoting themselves
+    if (targetId === req.user.userId) {
+      return res.status(400).json({ message: 'Non puoi cambiare il tuo ruolo' });
+    }
+
+    const result = await pool.query(`
+      UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, username, email, role
+    `, [req.body.role, targetId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'Ruolo aggiornato', user: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ban a user, or suspend them until a date. Every session of the user is revoked.
+// Body: { reason?, until? } - without until the ban is permanent
+router.post('/users/:userId/ban', [
+  body('reason').optional({ nullable: true }).isLength({ max: 500 }).withMessage('Motivo troppo lungo'),
+  body('until').optional({ nullable: true }).isISO8601().withMessage('Data di fine sospensione non valida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const targetId = parseInt(req.params.userId, 10);
+    const until = req.body.until ? new Date(req.body.until) : null;
+
+    if (Number.isNaN(targetId)) {
+      return res.status(400).json({ message: 'ID utente non valido' });
+    }
+
+    if (targetId === req.user.userId) {
+      return res.status(400).json({ message: 'Non puoi bannare te stesso' });
+    }
+
+    if (until && until <= new Date()) {
+      return res.status(400).json({ message: 'La fine della sospensione deve essere nel futuro' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const userResult = await client.query('SELECT role FROM users WHERE id = $1 FOR UPDATE', [targetId]);
+      if (userResult.rows.length === 0) {
+        return { status: 404, message: 'User not found' };
+      }
+
+      if (userResult.rows[0].role === 'admin') {
+        return { status: 400, message: 'Rimuovi prima il ruolo di amministratore' };
+      }
+
+      const result = await client.query(`
+        UPDATE users u SET banned_at = CURRENT_TIMESTAMP, banned_until = $1, ban_reason = $2,
+          banned_by_user_id = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE u.id = $4
+        RETURNING ${ADMIN_USER_COLUMNS}
+      `, [until, req.body.reason || null, req.user.userId, targetId]);
+
+      await revokeAllSessions(client, targetId);
+
+      return { user: result.rows[0] };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    res.json({ message: until ? 'Utente sospeso' : 'Utente bannato', user: outcome.user });
+
+  } catch (error) {
+    console.error('Error banning user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a ban or suspension
+router.delete('/users/:userId/ban', async (req, res) => {
+  try {
+    const targetId = parseInt(req.params.userId, 10);
+    if (Number.isNaN(targetId)) {
+      return res.status(400).json({ message: 'ID utente non valido' });
+    }
+
+    const result = await pool.query(`
+      UPDATE users SET banned_at = NULL, banned_until = NULL, ban_reason = NULL, banned_by_user_id = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, username, email, role
+    `, [targetId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'Ban rimosso', user: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error lifting ban:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Schema migration status. Migrations themselves only run from the CLI (scripts/migrate.js).
+router.get('/migrations', async (req, res) => {
+  try {
+    const { initialized, migrations } = await migrationStatus(pool);
+    res.json({
+      initialized,
+      message: initialized ? undefined : 'No migrations table: the database has never been migrated',
+      migrations,
+      pending: migrations.filter((migration) => !migration.applied).length
+    });
+
+  } catch (error) {
+    console.error('Error reading migration status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,34 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const emailValidator = require('email-validator');
 const pool = require('../config/database');
+const auth = require('../middleware/auth');
+const { withTransaction } = require('../utils/transaction');
+const { isBanned, createSession, rotateSession, revokeSessionByToken, revokeAllSessions } = require('../utils/sessions');
+const {
+  signEmailVerificationToken,
+  signPasswordResetToken,
+  verifyEmailToken,
+  matchesUser,
+  emailLinkUrl
+} = require('../utils/emailTokens');
+const { messagePage, resetPasswordPage } = require('../utils/emailPages');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../config/email');
+const {
+  rateLimit,
+  tooManyRequests,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/rateLimit');
 
 const router = express.Router();
 
+// Per-IP limit on the credential endpoints; the availability checks of the register form have their own
+const authLimit = rateLimit('auth');
+const availabilityLimit = rateLimit('availability');
+
 // Custom email validation function
 const validateEmail = (email) => {
   // Basic email format validation
@@ -37,8 +59,21 @@ const validateEmail = (email) => {
   return { isValid: true };
 };
 
+// Mail a fresh verification link; failures are logged, the user can ask for another one
+const sendVerificationLink = async (user) => {
+  try {
+    await sendVerificationEmail({
+      to: user.email,
+      username: user.username,
+      verifyUrl: emailLinkUrl('/verify-email', signEmailVerificationToken(user))
+    });
+  } catch (emailError) {
+    console.error('Error sending verification email:', emailError);
+  }
+};
+
 // Register user
-router.post('/register', [
+router.post('/register', authLimit, [
   body('username').isLength({ min: 3 }).trim().escape(),
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 })
@@ -83,16 +118,14 @@ router.post('/register', [
 
     // Create user
     const newUser = await pool.query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, is_admin, created_at',
+      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, role, created_at',
       [username, email, passwordHash]
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: newUser.rows[0].id, username: newUser.rows[0].username, is_admin: newUser.rows[0].is_admin },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '24h' }
-    );
+    // Open a session: short-lived access token plus refresh token
+    const tokens = await createSession(pool, newUser.rows[0], req);
+
+    await sendVerificationLink(newUser.rows[0]);
 
     res.status(201).json({
       message: 'User created successfully',
@@ -100,9 +133,11 @@ router.post('/register', [
         id: newUser.rows[0].id,
         username: newUser.rows[0].username,
         email: newUser.rows[0].email,
-        is_admin: newUser.rows[0].is_admin
+        role: newUser.rows[0].role,
+        is_admin: newUser.rows[0].role === 'admin',
+        email_verified: false
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -112,7 +147,7 @@ router.post('/register', [
 });
 
 // Login user
-router.post('/login', [
+router.post('/login', authLimit, [
   body('username').trim().escape(),
   body('password').notEmpty()
 ], async (req, res) => {
@@ -130,22 +165,46 @@ router.post('/login', [
       [username]
     );
 
-    if (user.rows.length === 0) {
+    // Accounts are locked after repeated failures, with a lock that doubles on every further failure.
+    // A known account is counted by id, whether the username or the email was submitted.
+    const lockAccount = user.rows.length > 0 ? `user:${user.rows[0].id}` : `name:${username}`;
+    const lock = await getLoginLock(lockAccount);
+    if (lock) {
+      return tooManyRequests(res, lock.resetAt, 'Troppi tentativi di accesso falliti, riprova più tardi');
+    }
+
+    // Unknown usernames count as failures too, so a lock does not reveal whether an account exists
+    const rejectLogin = async () => {
+      const newLock = await recordLoginFailure(lockAccount);
+      if (newLock) {
+        return tooManyRequests(res, newLock.resetAt, 'Troppi tentativi di accesso falliti, riprova più tardi');
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
+    };
+
+    if (user.rows.length === 0) {
+      return rejectLogin();
     }
 
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.rows[0].password_hash);
     if (!isValidPassword) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      return rejectLogin();
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.rows[0].id, username: user.rows[0].username, is_admin: user.rows[0].is_admin },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '24h' }
-    );
+    await clearLoginFailures(lockAccount);
+
+    if (isBanned(user.rows[0])) {
+      return res.status(403).json({
+        message: user.rows[0].banned_until ? 'Account sospeso' : 'Account bannato',
+        code: 'ACCOUNT_BANNED',
+        banned_until: user.rows[0].banned_until,
+        reason: user.rows[0].ban_reason
+      });
+    }
+
+    // Open a session: short-lived access token plus refresh token
+    const tokens = await createSession(pool, user.rows[0], req);
 
     res.json({
       message: 'Login successful',
@@ -153,9 +212,11 @@ router.post('/login', [
         id: user.rows[0].id,
         username: user.rows[0].username,
         email: user.rows[0].email,
-        is_admin: user.rows[0].is_admin
+        role: user.rows[0].role,
+        is_admin: user.rows[0].role === 'admin',
+        email_verified: Boolean(user.rows[0].email_verified_at)
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -164,8 +225,341 @@ router.post('/login', [
   }
 });
 
+// Exchange a refresh token for a new access token and a new refresh token (the old one stops working)
+router.post('/refresh', [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token mancante')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await withTransaction((client) => rotateSession(client, req.body.refresh_token));
+    if (!tokens) {
+      return res.status(401).json({ message: 'Sessione scaduta, effettua di nuovo il login' });
+    }
+
+    res.json(tokens);
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out: revoke the session of the given refresh token
+router.post('/logout', [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token mancante')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await revokeSessionByToken(pool, req.body.refresh_token);
+
+    res.json({ message: 'Logout effettuato' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current user's active sessions, one per logged-in device
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `, [req.user.userId]);
+
+    res.json(result.rows.map((session) => ({ ...session, is_current: session.id === req.user.sid })));
+
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke one of the current user's sessions (log out a device)
+router.delete('/sessions/:sessionId', auth, [
+  param('sessionId').isInt({ min: 1 }).withMessage('Sessione non valida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(`
+      UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [req.params.sessionId, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Sessione non trovata' });
+    }
+
+    res.json({ message: 'Sessione revocata' });
+
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change password: every session is revoked and the caller gets a fresh one
+router.put('/password', auth, authLimit, [
+  body('current_password').notEmpty().withMessage('Inserisci la password attuale'),
+  body('new_password').isLength({ min: 6 }).withMessage('La nuova password deve avere almeno 6 caratteri')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, username, role, password_hash FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = userResult.rows[0];
+    const isValidPassword = await bcrypt.compare(req.body.current_password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(400).json({ message: 'Password attuale errata' });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.new_password, 10);
+
+    const tokens = await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [passwordHash, user.id]
+      );
+      await revokeAllSessions(client, user.id);
+      return createSession(client, user, req);
+    });
+
+    res.json({ message: 'Password aggiornata, tutte le altre sessioni sono state chiuse', ...tokens });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark the address of a verification token as verified. Resolves to false when the token is invalid,
+// expired or issued for an address the account no longer has.
+const confirmEmail = async (token) => {
+  const payload = verifyEmailToken(token, 'verify_email');
+  const userResult = payload
+    ? await pool.query('SELECT id, email, email_verified_at FROM users WHERE id = $1', [payload.userId])
+    : { rows: [] };
+
+  if (userResult.rows.length === 0 || !matchesUser(payload, userResult.rows[0])) {
+    return false;
+  }
+
+  if (!userResult.rows[0].email_verified_at) {
+    await pool.query(
+      'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [payload.userId]
+    );
+  }
+
+  return true;
+};
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', authLimit, [
+  body('token').isString().notEmpty().withMessage('Token mancante')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!await confirmEmail(req.body.token)) {
+      return res.status(400).json({ message: 'Link di verifica non valido o scaduto' });
+    }
+
+    res.json({ message: 'Email verificata con successo' });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verification link from the email, opened in the browser
+router.get('/verify-email', authLimit, async (req, res) => {
+  try {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+    if (!token || !await confirmEmail(token)) {
+      return res.status(400).send(messagePage('Verifica non riuscita', 'Link di verifica non valido o scaduto. Richiedine uno nuovo dal tuo profilo.'));
+    }
+
+    res.send(messagePage('Email verificata', 'Il tuo indirizzo email è stato verificato con successo.'));
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).send(messagePage('Errore', 'Si è verificato un errore, riprova più tardi.'));
+  }
+});
+
+// Send the verification email again to the current user
+router.post('/resend-verification', auth, authLimit, async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT id, username, email, email_verified_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (userResult.rows[0].email_verified_at) {
+      return res.status(400).json({ message: 'Email già verificata' });
+    }
+
+    await sendVerificationLink(userResult.rows[0]);
+
+    res.json({ message: 'Email di verifica inviata' });
+
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request a password reset link. The answer is the same whether or not the address exists.
+router.post('/forgot-password', authLimit, [
+  body('email').isEmail().withMessage('Email non valida').normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, username, email, password_hash FROM users WHERE email = $1',
+      [req.body.email]
+    );
+
+    if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+      try {
+        await sendPasswordResetEmail({
+          to: user.email,
+          username: user.username,
+          resetUrl: emailLinkUrl('/reset-password', signPasswordResetToken(user))
+        });
+      } catch (emailError) {
+        console.error('Error sending password reset email:', emailError);
+      }
+    }
+
+    res.json({ message: 'Se l\'indirizzo è registrato riceverai un\'email con le istruzioni' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a new password for the account of a reset token and revoke every session.
+// Resolves to false when the token is invalid, expired or already used.
+const resetPassword = async (token, newPassword) => {
+  const payload = verifyEmailToken(token, 'password_reset');
+  const userResult = payload
+    ? await pool.query('SELECT id, password_hash FROM users WHERE id = $1', [payload.userId])
+    : { rows: [] };
+
+  // A used link no longer matches: the password it was issued for has changed
+  if (userResult.rows.length === 0 || !matchesUser(payload, userResult.rows[0])) {
+    return false;
+  }
+
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+
+  await withTransaction(async (client) => {
+    // Receiving the link proves ownership of the address too
+    await client.query(`
+      UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [passwordHash, payload.userId]);
+    await revokeAllSessions(client, payload.userId);
+  });
+
+  return true;
+};
+
+// Reset link from the email, opened in the browser: a form posting back to POST /reset-password
+router.get('/reset-password', authLimit, (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+  if (!verifyEmailToken(token, 'password_reset')) {
+    return res.status(400).send(messagePage('Link non valido', 'Link di reset non valido o scaduto. Richiedine uno nuovo.'));
+  }
+
+  res.send(resetPasswordPage(token));
+});
+
+// Set a new password with the token from the reset email; every session is revoked.
+// Accepts JSON from the app and the form of GET /reset-password, which gets an HTML answer.
+router.post('/reset-password', authLimit, express.urlencoded({ extended: false }), [
+  body('token').isString().notEmpty().withMessage('Token mancante'),
+  body('new_password').isLength({ min: 6 }).withMessage('La nuova password deve avere almeno 6 caratteri')
+], async (req, res) => {
+  const fromForm = req.is('application/x-www-form-urlencoded');
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (fromForm) {
+        return res.status(400).send(resetPasswordPage(String(req.body.token || ''), errors.array()[0].msg));
+      }
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!await resetPassword(req.body.token, req.body.new_password)) {
+      if (fromForm) {
+        return res.status(400).send(messagePage('Link non valido', 'Link di reset non valido o scaduto. Richiedine uno nuovo.'));
+      }
+      return res.status(400).json({ message: 'Link di reset non valido o scaduto' });
+    }
+
+    if (fromForm) {
+      return res.send(messagePage('Password reimpostata', 'La password è stata aggiornata. Ora puoi effettuare il login.'));
+    }
+    res.json({ message: 'Password reimpostata, effettua il login' });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    if (fromForm) {
+      return res.status(500).send(messagePage('Errore', 'Si è verificato un errore, riprova più tardi.'));
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Check username availability
-router.get('/check-username/:username', async (req, res) => {
+router.get('/check-username/:username', availabilityLimit, async (req, res) => {
   try {
     const { username } = req.params;
     
@@ -186,7 +580,7 @@ router.get('/check-username/:username', async (req, res) => {
 });
 
 // Check email availability
-router.get('/check-email/:email', async (req, res) => {
+router.get('/check-email/:email', availabilityLimit, async (req, res) => {
   try {
     const { email } = req.params;
     
@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { hasPermission } = require('../middleware/permissions');
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+
+const router = express.Router();
+
+const MAX_SLOTS_PER_REQUEST = 200;
+
+const venueIdParam = param('venueId').isInt({ min: 1 }).withMessage('Impianto non valido');
+const slotIdParam = param('slotId').isInt({ min: 1 }).withMessage('Fascia oraria non valida');
+
+// Venue owner, or a role allowed to manage any venue
+const canManageVenue = (venue, user) => venue.added_by_user_id === user.userId || hasPermission(user, 'venues.manage_any');
+
+// Get bookable slots of a venue (default: from now, next 14 days)
+router.get('/venues/:venueId/slots', [venueIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { venueId } = req.params;
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ message: 'Intervallo di date non valido' });
+    }
+
+    const venueResult = await pool.query('SELECT id FROM sports_venues WHERE id = $1 AND is_hidden = false', [venueId]);
+    if (venueResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT s.id, s.venue_id, s.starts_at, s.ends_at, s.price,
+             EXISTS (SELECT 1 FROM bookings b WHERE b.slot_id = s.id AND b.status = 'confirmed') as is_booked
+      FROM booking_slots s
+      WHERE s.venue_id = $1 AND s.starts_at >= $2 AND s.starts_at < $3
+      ORDER BY s.starts_at ASC
+    `, [venueId, from, to]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error fetching booking slots:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create bookable slots for a venue (venue owner or admin)
+// Body: { slots: [{ starts_at, ends_at, price? }] }; slots may not overlap each other or existing ones
+router.post('/venues/:venueId/slots', auth, [
+  venueIdParam,
+  body('slots').isArray({ min: 1, max: MAX_SLOTS_PER_REQUEST })
+    .withMessage(`Invia da 1 a ${MAX_SLOTS_PER_REQUEST} fasce orarie`),
+  body('slots.*.starts_at').isISO8601().withMessage('Data di inizio non valida'),
+  body('slots.*.ends_at').isISO8601().withMessage('Data di fine non valida'),
+  body('slots.*.price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Prezzo non valido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { venueId } = req.params;
+    const userId = req.user.userId;
+
+    const venueResult = await pool.query('SELECT id, added_by_user_id FROM sports_venues WHERE id = $1', [venueId]);
+    if (venueResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    if (!canManageVenue(venueResult.rows[0], req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const slots = req.body.slots
+      .map((slot) => ({
+        startsAt: new Date(slot.starts_at),
+        endsAt: new Date(slot.ends_at),
+        price: slot.price === undefined || slot.price === null ? null : Number(slot.price)
+      }))
+      .sort((a, b) => a.startsAt - b.startsAt);
+
+    for (let i = 0; i < slots.length; i++) {
+      if (slots[i].endsAt <= slots[i].startsAt) {
+        return res.status(400).json({ message: 'La fine di una fascia deve seguire il suo inizio' });
+      }
+      if (i > 0 && slots[i].startsAt < slots[i - 1].endsAt) {
+        return res.status(400).json({ message: 'Le fasce orarie inviate si sovrappongono' });
+      }
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // Serialise slot creation per venue so two concurrent requests cannot add overlapping slots
+      await client.query('SELECT id FROM sports_venues WHERE id = $1 FOR UPDATE', [venueId]);
+
+      const overlapping = await client.query(`
+        SELECT s.id, s.starts_at, s.ends_at
+        FROM booking_slots s, unnest($2::timestamptz[], $3::timestamptz[]) AS n(starts_at, ends_at)
+        WHERE s.venue_id = $1 AND s.starts_at < n.ends_at AND s.ends_at > n.starts_at
+        LIMIT 1
+      `, [venueId, slots.map((slot) => slot.startsAt), slots.map((slot) => slot.endsAt)]);
+
+      if (overlapping.rows.length > 0) {
+        return { conflict: overlapping.rows[0] };
+      }
+
+      const inserted = await client.query(`
+        INSERT INTO booking_slots (venue_id, starts_at, ends_at, price, created_by_user_id)
+        SELECT $1, n.starts_at, n.ends_at, n.price, $5
+        FROM unnest($2::timestamptz[], $3::timestamptz[], $4::numeric[]) AS n(starts_at, ends_at, price)
+        RETURNING *
+      `, [
+        venueId,
+        slots.map((slot) => slot.startsAt),
+        slots.map((slot) => slot.endsAt),
+        slots.map((slot) => slot.price),
+        userId
+      ]);
+
+      return { slots: inserted.rows };
+    });
+
+    if (outcome.conflict) {
+      return res.status(409).json({
+        message: 'Una fascia oraria si sovrappone a una già esistente',
+        conflicting_slot: outcome.conflict
+      });
+    }
+
+    res.status(201).json({
+      message: 'Fasce orarie create con successo',
+      slots: outcome.slots
+    });
+
+  } catch (error) {
+    console.error('Error creating booking slots:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a slot that has no active booking (venue owner or admin)
+router.delete('/slots/:slotId', auth, [slotIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { slotId } = req.params;
+
+    const slotResult = await pool.query(`
+      SELECT s.id, f.added_by_user_id
+      FROM booking_slots s
+      JOIN sports_venues f ON s.venue_id = f.id
+      WHERE s.id = $1
+    `, [slotId]);
+
+    if (slotResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Fascia oraria non trovata' });
+    }
+
+    if (!canManageVenue(slotResult.rows[0], req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const result = await pool.query(`
+      DELETE FROM booking_slots s
+      WHERE s.id = $1 AND NOT EXISTS (
+        SELECT 1 FROM bookings b WHERE b.slot_id = s.id AND b.status = 'confirmed'
+      )
+      RETURNING id
+    `, [slotId]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'La fascia oraria ha una prenotazione attiva' });
+    }
+
+    res.json({ message: 'Fascia oraria eliminata' });
+
+  } catch (error) {
+    console.error('Error deleting booking slot:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reserve a slot
+router.post('/slots/:slotId/reserve', auth, [slotIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { slotId } = req.params;
+    const userId = req.user.userId;
+
+    const outcome = await withTransaction(async (client) => {
+      // Lock the slot: concurrent reservations of the same slot wait here. Slots of hidden venues cannot be booked.
+      const slotResult = await client.query(`
+        SELECT s.* FROM booking_slots s
+        JOIN sports_venues f ON s.venue_id = f.id
+        WHERE s.id = $1 AND f.is_hidden = false
+        FOR UPDATE OF s
+      `, [slotId]);
+      if (slotResult.rows.length === 0) {
+        return { status: 404, message: 'Fascia oraria non trovata' };
+      }
+
+      const slot = slotResult.rows[0];
+      if (new Date(slot.starts_at) <= new Date()) {
+        return { status: 400, message: 'Non puoi prenotare una fascia oraria già iniziata' };
+      }
+
+      const taken = await client.query(
+        "SELECT id FROM bookings WHERE slot_id = $1 AND status = 'confirmed'",
+        [slotId]
+      );
+      if (taken.rows.length > 0) {
+        return { status: 409, message: 'Fascia oraria già prenotata' };
+      }
+
+      const booking = await client.query(
+        'INSERT INTO bookings (slot_id, user_id) VALUES ($1, $2) RETURNING *',
+        [slotId, userId]
+      );
+
+      return { booking: booking.rows[0], slot };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    res.status(201).json({
+      message: 'Prenotazione confermata',
+      booking: outcome.booking,
+      slot: outcome.slot
+    });
+
+  } catch (error) {
+    // The partial unique index on confirmed bookings is the last line of defence
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'Fascia oraria già prenotata' });
+    }
+    console.error('Error reserving slot:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a booking before it starts (the user who booked, venue owner or admin)
+router.delete('/:bookingId', auth, [
+  param('bookingId').isInt({ min: 1 }).withMessage('Prenotazione non valida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookingId } = req.params;
+    const userId = req.user.userId;
+
+    const bookingResult = await pool.query(`
+      SELECT b.*, s.starts_at, f.added_by_user_id
+      FROM bookings b
+      JOIN booking_slots s ON b.slot_id = s.id
+      JOIN sports_venues f ON s.venue_id = f.id
+      WHERE b.id = $1
+    `, [bookingId]);
+
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Prenotazione non trovata' });
+    }
+
+    const booking = bookingResult.rows[0];
+
+    if (booking.user_id !== userId && !canManageVenue(booking, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(409).json({ message: 'Prenotazione già annullata' });
+    }
+
+    if (new Date(booking.starts_at) <= new Date()) {
+      return res.status(400).json({ message: 'Non puoi annullare una prenotazione già iniziata' });
+    }
+
+    const result = await pool.query(`
+      UPDATE bookings SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'confirmed'
+      RETURNING *
+    `, [bookingId]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'Prenotazione già annullata' });
+    }
+
+    res.json({ message: 'Prenotazione annullata', booking: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,406 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { hasPermission } = require('../middleware/permissions');
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const { distanceSql, parseGeoQuery, radiusBounds } = require('../utils/geo');
+
+const router = express.Router();
+
+const SKILL_LEVELS = ['any', 'beginner', 'intermediate', 'advanced'];
+const DEFAULT_WINDOW_DAYS = 30;
+
+const eventIdParam = param('id').isInt({ min: 1 }).withMessage('Evento non valido');
+
+// True when the user in column userColumn and the user bound to meParam are friends
+const friendsWithSql = (userColumn, meParam) => `EXISTS (
+  SELECT 1 FROM friendships fs
+  WHERE fs.status = 'accepted'
+    AND ((fs.requester_id = ${userColumn} AND fs.addressee_id = ${meParam})
+      OR (fs.addressee_id = ${userColumn} AND fs.requester_id = ${meParam}))
+)`;
+
+const PLAYER_COUNTS_SQL = `
+  (SELECT COUNT(*) FROM event_participants p WHERE p.event_id = e.id AND p.status = 'joined')::int as players_count,
+  (SELECT COUNT(*) FROM event_participants p WHERE p.event_id = e.id AND p.status = 'waitlisted')::int as waitlist_count
+`;
+
+// Get upcoming events, filterable by location (lat/lng/radius_km, bbox), date range, sport and skill level.
+// With a token, events organised or attended by friends are flagged as highlighted.
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { sport_type, skill_level, venue_id } = req.query;
+    const userId = req.user ? req.user.userId : null;
+
+    const geo = parseGeoQuery(req.query);
+    if (geo.error) {
+      return res.status(400).json({ message: geo.error });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ message: 'Intervallo di date non valido' });
+    }
+
+    if (skill_level && !SKILL_LEVELS.includes(skill_level)) {
+      return res.status(400).json({ message: 'Livello non valido' });
+    }
+
+    if (venue_id && !/^\d+$/.test(venue_id)) {
+      return res.status(400).json({ message: 'Impianto non valido' });
+    }
+
+    const params = [];
+    let paramIndex = 1;
+    let extraColumns = '';
+
+    if (geo.near) {
+      params.push(geo.near.lat, geo.near.lng);
+      extraColumns += `, ROUND(${distanceSql('$1', '$2')}::numeric, 2) as distance_km`;
+      paramIndex = 3;
+    }
+
+    if (userId) {
+      const me = `$${paramIndex}`;
+      params.push(userId);
+      paramIndex++;
+      extraColumns += `,
+        ${friendsWithSql('e.organizer_user_id', me)} as organized_by_friend,
+        (SELECT COUNT(*) FROM event_participants p
+         WHERE p.event_id = e.id AND p.status = 'joined' AND ${friendsWithSql('p.user_id', me)})::int as friends_attending,
+        (SELECT p.status FROM event_participants p WHERE p.event_id = e.id AND p.user_id = ${me}) as my_status`;
+    }
+
+    let query = `
+      SELECT e.*, f.name as venue_name, f.latitude, f.longitude, f.address, f.city,
+             u.username as organizer_username, ${PLAYER_COUNTS_SQL} ${extraColumns}
+      FROM events e
+      JOIN sports_venues f ON e.venue_id = f.id
+      LEFT JOIN users u ON e.organizer_user_id = u.id
+      WHERE e.status = 'scheduled' AND f.is_hidden = false
+        AND e.starts_at >= $${paramIndex} AND e.starts_at < $${paramIndex + 1}
+    `;
+    params.push(from, to);
+    paramIndex += 2;
+
+    if (geo.near && geo.near.radiusKm !== null) {
+      const bounds = radiusBounds(geo.near);
+      query += ` AND f.latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`;
+      query += ` AND f.longitude BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`;
+      query += ` AND ${distanceSql('$1', '$2')} <= $${paramIndex + 4}`;
+      params.push(bounds.minLat, bounds.maxLat, bounds.minLng, bounds.maxLng, geo.near.radiusKm);
+      paramIndex += 5;
+    }
+
+    if (geo.bbox) {
+      query += ` AND f.latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`;
+      query += ` AND f.longitude BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`;
+      params.push(geo.bbox.minLat, geo.bbox.maxLat, geo.bbox.minLng, geo.bbox.maxLng);
+      paramIndex += 4;
+    }
+
+    if (sport_type) {
+      query += ` AND e.sport_type = $${paramIndex}`;
+      params.push(sport_type);
+      paramIndex++;
+    }
+
+    if (skill_level) {
+      query += ` AND e.skill_level = $${paramIndex}`;
+      params.push(skill_level);
+      paramIndex++;
+    }
+
+    if (venue_id) {
+      query += ` AND e.venue_id = $${paramIndex}`;
+      params.push(venue_id);
+      paramIndex++;
+    }
+
+    query += geo.near ? ' ORDER BY e.starts_at ASC, distance_km ASC' : ' ORDER BY e.starts_at ASC';
+
+    const result = await pool.query(query, params);
+
+    res.json(result.rows.map((event) => (userId
+      ? { ...event, highlighted: event.organized_by_friend || event.friends_attending > 0 }
+      : event)));
+
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get event details with participants and waiting list
+router.get('/:id', optionalAuth, [eventIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const eventResult = await pool.query(`
+      SELECT e.*, f.name as venue_name, f.latitude, f.longitude, f.address, f.city, f.is_hidden as venue_hidden,
+             u.username as organizer_username, ${PLAYER_COUNTS_SQL}
+      FROM events e
+      JOIN sports_venues f ON e.venue_id = f.id
+      LEFT JOIN users u ON e.organizer_user_id = u.id
+      WHERE e.id = $1
+    `, [id]);
+
+    // Events at a hidden venue are hidden with it, except to moderators
+    const { venue_hidden: venueHidden, ...event } = eventResult.rows[0] || {};
+    if (eventResult.rows.length === 0 || (venueHidden && !hasPermission(req.user, 'content.moderate'))) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
+
+    const participants = await pool.query(`
+      SELECT p.user_id, u.username, p.status, p.joined_at
+      FROM event_participants p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.event_id = $1
+      ORDER BY p.status ASC, p.joined_at ASC
+    `, [id]);
+
+    res.json({
+      ...event,
+      players: participants.rows.filter((p) => p.status === 'joined'),
+      waitlist: participants.rows.filter((p) => p.status === 'waitlisted')
+    });
+
+  } catch (error) {
+    console.error('Error fetching event:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Organise an event at a venue (the organiser joins automatically)
+router.post('/', auth, [
+  body('venue_id').isInt({ min: 1 }).withMessage('Impianto non valido'),
+  body('starts_at').isISO8601().withMessage('Data di inizio non valida'),
+  body('duration_minutes').optional().isInt({ min: 15, max: 600 }).withMessage('Durata non valida'),
+  body('max_players').isInt({ min: 2, max: 50 }).withMessage('Numero di giocatori deve essere tra 2 e 50'),
+  body('skill_level').optional().isIn(SKILL_LEVELS).withMessage('Livello non valido'),
+  body('sport_type').optional().trim().escape(),
+  body('title').optional().trim().isLength({ max: 100 }).escape(),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Descrizione troppo lunga')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const { venue_id, starts_at, duration_minutes, max_players, skill_level, sport_type, title, description } = req.body;
+
+    const startsAt = new Date(starts_at);
+    if (startsAt <= new Date()) {
+      return res.status(400).json({ message: "La data dell'evento deve essere futura" });
+    }
+
+    const venueResult = await pool.query('SELECT id, name, sport_type FROM sports_venues WHERE id = $1 AND is_hidden = false', [venue_id]);
+    if (venueResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const venue = venueResult.rows[0];
+
+    const event = await withTransaction(async (client) => {
+      const created = await client.query(`
+        INSERT INTO events (
+          venue_id, organizer_user_id, title, description, sport_type, starts_at, duration_minutes,
+          skill_level, max_players
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        venue.id, userId, title || `Partita a ${venue.name}`, description || null,
+        sport_type || venue.sport_type, startsAt, duration_minutes || 60, skill_level || 'any', max_players
+      ]);
+
+      await client.query(
+        "INSERT INTO event_participants (event_id, user_id, status) VALUES ($1, $2, 'joined')",
+        [created.rows[0].id, userId]
+      );
+
+      return created.rows[0];
+    });
+
+    res.status(201).json({ message: 'Evento creato con successo', event });
+
+  } catch (error) {
+    console.error('Error creating event:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join an event, or its waiting list when it is full
+router.post('/:id/join', auth, [eventIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const outcome = await withTransaction(async (client) => {
+      // Lock the event so concurrent joins cannot exceed max_players
+      const eventResult = await client.query('SELECT * FROM events WHERE id = $1 FOR UPDATE', [id]);
+      if (eventResult.rows.length === 0) {
+        return { status: 404, message: 'Evento non trovato' };
+      }
+
+      const event = eventResult.rows[0];
+      if (event.status !== 'scheduled' || new Date(event.starts_at) <= new Date()) {
+        return { status: 400, message: 'Non puoi più partecipare a questo evento' };
+      }
+
+      const existing = await client.query(
+        'SELECT status FROM event_participants WHERE event_id = $1 AND user_id = $2',
+        [id, userId]
+      );
+      if (existing.rows.length > 0) {
+        return { status: 409, message: 'Partecipi già a questo evento' };
+      }
+
+      const joined = await client.query(
+        "SELECT COUNT(*) as count FROM event_participants WHERE event_id = $1 AND status = 'joined'",
+        [id]
+      );
+      const status = parseInt(joined.rows[0].count, 10) < event.max_players ? 'joined' : 'waitlisted';
+
+      await client.query(
+        'INSERT INTO event_participants (event_id, user_id, status) VALUES ($1, $2, $3)',
+        [id, userId, status]
+      );
+
+      return { participation: status };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    res.status(201).json({
+      message: outcome.participation === 'joined' ? 'Ti sei unito all\'evento' : 'Evento al completo: sei in lista d\'attesa',
+      status: outcome.participation
+    });
+
+  } catch (error) {
+    console.error('Error joining event:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave an event; the first user on the waiting list takes the free spot
+router.post('/:id/leave', auth, [eventIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const outcome = await withTransaction(async (client) => {
+      const eventResult = await client.query('SELECT * FROM events WHERE id = $1 FOR UPDATE', [id]);
+      if (eventResult.rows.length === 0) {
+        return { status: 404, message: 'Evento non trovato' };
+      }
+
+      if (eventResult.rows[0].organizer_user_id === userId) {
+        return { status: 400, message: "L'organizzatore non può lasciare l'evento: annullalo invece" };
+      }
+
+      const removed = await client.query(
+        'DELETE FROM event_participants WHERE event_id = $1 AND user_id = $2 RETURNING status',
+        [id, userId]
+      );
+      if (removed.rows.length === 0) {
+        return { status: 404, message: 'Non partecipi a questo evento' };
+      }
+
+      let promotedUserId = null;
+      if (removed.rows[0].status === 'joined') {
+        const promoted = await client.query(`
+          UPDATE event_participants SET status = 'joined'
+          WHERE event_id = $1 AND user_id = (
+            SELECT user_id FROM event_participants
+            WHERE event_id = $1 AND status = 'waitlisted'
+            ORDER BY joined_at ASC
+            LIMIT 1
+          )
+          RETURNING user_id
+        `, [id]);
+        promotedUserId = promoted.rows[0]?.user_id || null;
+      }
+
+      return { promotedUserId };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    res.json({ message: 'Hai lasciato l\'evento', promoted_user_id: outcome.promotedUserId });
+
+  } catch (error) {
+    console.error('Error leaving event:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel an event (organiser or admin)
+router.post('/:id/cancel', auth, [
+  eventIdParam,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Motivo troppo lungo')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const eventResult = await pool.query('SELECT organizer_user_id, status FROM events WHERE id = $1', [id]);
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
+
+    if (eventResult.rows[0].organizer_user_id !== userId && !hasPermission(req.user, 'events.manage_any')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (eventResult.rows[0].status === 'cancelled') {
+      return res.status(409).json({ message: 'Evento già annullato' });
+    }
+
+    const result = await pool.query(`
+      UPDATE events SET status = 'cancelled', cancellation_reason = $1,
+        cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [req.body.reason || null, id]);
+
+    res.json({ message: 'Evento annullato', event: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error cancelling event:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,30 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const pool = require('../config/database');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/admin');
-const { sendFieldReportEmail } = require('../config/email');
-
-// Configure multer for image upload
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = 'uploads/field-images';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'field-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const optionalAuth = require('../middleware/optionalAuth');
+const { hasPermission, requirePermission } = require('../middleware/permissions');
+const requireVerified = require('../middleware/requireVerified');
+const { rateLimit } = require('../utils/rateLimit');
+const { sendFieldReportEmail, sendReportResolvedEmail } = require('../config/email');
+const { parsePagination, parseSort, parseFieldSelection, buildPaginationMeta } = require('../utils/listing');
+const { withTransaction } = require('../utils/transaction');
+const { pickEditable, diffVenue, recordRevision, updateVenueWithRevision } = require('../utils/venueRevisions');
+const { looksLikeOsmOpeningHours, parseOpeningHours, parseOpenAt, isOpenNow } = require('../utils/openingHours');
+const { validatePriceList, summarizePriceList, priceBounds } = require('../utils/pricing');
+const { distanceSql, parseGeoQuery, radiusBounds } = require('../utils/geo');
+const { detectImageType, processImage } = require('../utils/imageProcessing');
+const { storage: fileStorage, removeByUrl } = require('../utils/storage');
+const { geocoder } = require('../utils/geocoding');
+const { normalizeProvince, normalizeRegion, regionOfProvince } = require('../utils/italianAreas');
+
+const IMAGE_KEY_PREFIX = 'field-images';
+const MAX_IMAGES_PER_UPLOAD = parseInt(process.env.MAX_IMAGES_PER_UPLOAD, 10) || 10;
+const MAX_CAPTION_LENGTH = 200;
+
+// Configure multer for image upload (kept in memory: files are re-encoded before being written)
+const storage = multer.memoryStorage();
 
 const upload = multer({
   storage: storage,
@@ -32,11 +35,11 @@ const upload = multer({
     console.log('File being uploaded:', file.originalname, file.mimetype);
     
     // Check file extension
-    const allowedExtensions = /\.(jpg|jpeg|png|gif)$/i;
+    const allowedExtensions = /\.(jpg|jpeg|png|gif|webp)$/i;
     const hasValidExtension = allowedExtensions.test(file.originalname);
     
     // Check MIME type
-    const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
+    const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
     const hasValidMimeType = allowedMimeTypes.includes(file.mimetype);
     
     console.log('Extension valid:', hasValidExtension, 'MimeType valid:', hasValidMimeType);
@@ -49,175 +52,512 @@ const upload = multer({
   }
 });
 
-const router = express.Router();
+// Store the WebP variants of an upload and return their public URLs
+const saveImageVariants = async (variants) => {
+  const baseName = 'field-' + Date.now() + '-' + Math.round(Math.random() * 1E9);
+
+  const entries = await Promise.all(Object.entries(variants).map(async ([variant, buffer]) => {
+    const url = await fileStorage.put(`${IMAGE_KEY_PREFIX}/${baseName}-${variant}.webp`, buffer, 'image/webp');
+    return [variant, url];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+// Remove every stored variant of a field_images row. Best effort: the database row is the source of
+// truth, so a storage failure is logged and leaves an orphan file rather than failing the request.
+const removeImageFiles = async (image) => {
+  const urls = [image.image_url, image.medium_url, image.thumbnail_url].filter(Boolean);
+  const results = await Promise.allSettled(urls.map(removeByUrl));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error('Error removing stored image:', urls[index], result.reason);
+    }
+  });
+};
+
+// Visible images of a venue (alias f) as a JSON array, in display order
+const IMAGES_JSON_SQL = `COALESCE(
+  (SELECT json_agg(
+    json_build_object(
+      'id', fi.id,
+      'image_url', fi.image_url,
+      'medium_url', fi.medium_url,
+      'thumbnail_url', fi.thumbnail_url,
+      'uploaded_by', fi.uploaded_by,
+      'uploaded_at', fi.uploaded_at,
+      'is_primary', fi.is_primary,
+      'caption', fi.caption,
+      'sort_order', fi.sort_order
+    ) ORDER BY fi.sort_order ASC, fi.id ASC
+  ) FROM field_images fi WHERE fi.field_id = f.id AND fi.is_hidden = false),
+  '[]'::json
+)`;
+
+// Rating aggregates of a venue (alias f) from its visible reviews, exposed as rs.avg_rating / rs.review_count
+const REVIEW_STATS_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT ROUND(AVG(r.overall_rating), 2) as avg_rating, COUNT(*)::int as review_count
+    FROM venue_reviews r
+    WHERE r.venue_id = f.id AND r.is_hidden = false
+  ) rs ON true
+`;
+
+// Whether the user bound to userParam starred the venue (alias f)
+const favoriteSql = (userParam) => `EXISTS (
+  SELECT 1 FROM favorite_venues fv WHERE fv.venue_id = f.id AND fv.user_id = ${userParam}
+)`;
+
+// Columns selectable through ?fields= on the venue listing
+const VENUE_LIST_COLUMNS = {
+  id: 'f.id',
+  name: 'f.name',
+  description: 'f.description',
+  latitude: 'f.latitude',
+  longitude: 'f.longitude',
+  address: 'f.address',
+  city: 'f.city',
+  province: 'f.province',
+  region: 'f.region',
+  sport_type: 'f.sport_type',
+  surface_type: 'f.surface_type',
+  venue_type: 'f.venue_type',
+  is_public: 'f.is_public',
+  has_lighting: 'f.has_lighting',
+  has_changing_rooms: 'f.has_changing_rooms',
+  has_parking: 'f.has_parking',
+  opening_hours: 'f.opening_hours',
+  opening_hours_schedule: 'f.opening_hours_schedule',
+  prices: 'f.prices',
+  price_list: 'f.price_list',
+  min_price: 'f.min_price',
+  max_price: 'f.max_price',
+  added_by_user_id: 'f.added_by_user_id',
+  added_by_username: 'u.username',
+  created_at: 'f.created_at',
+  updated_at: 'f.updated_at',
+  images: IMAGES_JSON_SQL,
+  avg_rating: 'rs.avg_rating',
+  review_count: 'rs.review_count',
+  distance_km: null,
+  is_favorite: null
+};
+
+const VENUE_SORTS = {
+  name: { column: 'f.name', direction: 'asc' },
+  created_at: { column: 'f.created_at', direction: 'desc' },
+  updated_at: { column: 'f.updated_at', direction: 'desc' },
+  distance: { column: null, direction: 'asc' }
+};
+
+const REPORT_TYPES = ['non_esiste', 'info_errate', 'altro'];
+const REPORT_STATUSES = ['pending', 'in_review', 'resolved', 'rejected'];
+const REPORT_CLOSED_STATUSES = ['resolved', 'rejected'];
+
+// Allowed report status changes; resolved and rejected are final
+const REPORT_TRANSITIONS = {
+  pending: ['in_review', 'resolved', 'rejected'],
+  in_review: ['pending', 'resolved', 'rejected']
+};
+
+// Distinct users that must report a venue as non-existent before it is hidden from the map
+const NON_EXISTENT_HIDE_THRESHOLD = parseInt(process.env.NON_EXISTENT_HIDE_THRESHOLD, 10) || 3;
+
+// Distinct users who reported venue f as non_esiste since its last admin review; rejected reports do not count
+const NON_EXISTENT_REPORTS_SQL = `(
+  SELECT COUNT(DISTINCT fr.reported_by_user_id) FROM venue_reports fr
+  WHERE fr.venue_id = f.id AND fr.report_type = 'non_esiste' AND fr.status <> 'rejected'
+    AND (f.visibility_reviewed_at IS NULL OR fr.created_at > f.visibility_reviewed_at)
+)`;
+
+// Hide a venue once enough distinct users reported it as non_esiste since the last admin review.
+// Returns true when the venue has just been hidden.
+const hideVenueIfReportedMissing = async (venueId) => {
+  const result = await pool.query(`
+    UPDATE sports_venues f SET is_hidden = true, hidden_at = CURRENT_TIMESTAMP
+    WHERE f.id = $1 AND f.is_hidden = false AND ${NON_EXISTENT_REPORTS_SQL} >= $2
+    RETURNING id
+  `, [venueId, NON_EXISTENT_HIDE_THRESHOLD]);
+
+  return result.rows.length > 0;
+};
+
+// Same-sport venues closer than this are considered the same place whatever their name
+const DUPLICATE_RADIUS_KM = 0.075;
+// Same-sport venues with a similar name are considered duplicates up to this distance
+const DUPLICATE_NAME_RADIUS_KM = 1;
+const GENERIC_NAME_WORDS = ['campo', 'campi', 'centro', 'sportivo', 'comunale', 'impianto', 'parco', 'della', 'dello', 'degli'];
+
+const nameTokens = (name) => String(name || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/&[a-z#0-9]+;/g, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter((word) => word.length > 2 && !GENERIC_NAME_WORDS.includes(word));
+
+// Jaccard similarity of the meaningful words of two venue names
+const isSimilarVenueName = (a, b) => {
+  const tokensA = new Set(nameTokens(a));
+  const tokensB = new Set(nameTokens(b));
+
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  }
 
-// Temporary endpoint to initialize database
-router.post('/init-db', async (req, res) => {
-  try {
-    // Drop existing tables to recreate them
-    await pool.query('DROP TABLE IF EXISTS venue_reports CASCADE');
-    await pool.query('DROP TABLE IF EXISTS field_images CASCADE');
-    await pool.query('DROP TABLE IF EXISTS sports_venues CASCADE');
-    await pool.query('DROP TABLE IF EXISTS users CASCADE');
+  const shared = [...tokensA].filter((token) => tokensB.has(token)).length;
+  return shared / (tokensA.size + tokensB.size - shared) >= 0.5;
+};
+
+// Existing venues of the same sport that are probably the one being added
+const findDuplicateVenues = async ({ name, latitude, longitude, sport_type }) => {
+  const bounds = radiusBounds({ lat: Number(latitude), lng: Number(longitude), radiusKm: DUPLICATE_NAME_RADIUS_KM });
+
+  const result = await pool.query(`
+    SELECT f.id, f.name, f.latitude, f.longitude, f.address, f.city, f.sport_type,
+           ROUND(${distanceSql('$1', '$2')}::numeric, 3) as distance_km
+    FROM sports_venues f
+    WHERE f.sport_type = $3
+      AND f.latitude BETWEEN $5 AND $6 AND f.longitude BETWEEN $7 AND $8
+      AND ${distanceSql('$1', '$2')} <= $4
+    ORDER BY distance_km ASC
+  `, [
+    latitude, longitude, sport_type, DUPLICATE_NAME_RADIUS_KM,
+    bounds.minLat, bounds.maxLat, bounds.minLng, bounds.maxLng
+  ]);
+
+  return result.rows.filter((venue) => (
+    Number(venue.distance_km) <= DUPLICATE_RADIUS_KM || isSimilarVenueName(venue.name, name)
+  ));
+};
+
+// opening_hours in OSM syntax gets a parsed weekly schedule; other free text is kept as legacy
+const resolveOpeningHours = (raw) => {
+  const text = typeof raw === 'string' ? raw.trim() : '';
+  if (text === '') {
+    return { opening_hours: null, opening_hours_schedule: null };
+  }
 
-    // Create users table
-    await pool.query(`
-      CREATE TABLE users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(50) UNIQUE NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        is_admin BOOLEAN DEFAULT false,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
+  if (!looksLikeOsmOpeningHours(text)) {
+    return { opening_hours: text, opening_hours_schedule: null };
+  }
 
-    // Create sports_venues table with all required columns
-    await pool.query(`
-      CREATE TABLE sports_venues (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        latitude DECIMAL(10, 8) NOT NULL,
-        longitude DECIMAL(11, 8) NOT NULL,
-        address TEXT,
-        city VARCHAR(100),
-        province VARCHAR(10),
-        region VARCHAR(100),
-        sport_type VARCHAR(50) NOT NULL,
-        surface_type VARCHAR(50),
-        venue_type VARCHAR(50),
-        is_public BOOLEAN DEFAULT true,
-        has_lighting BOOLEAN DEFAULT false,
-        has_changing_rooms BOOLEAN DEFAULT false,
-        has_parking BOOLEAN DEFAULT false,
-        opening_hours TEXT,
-        prices TEXT,
-        added_by_user_id INTEGER REFERENCES users(id),
-        added_by_username VARCHAR(100),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
+  const parsed = parseOpeningHours(text);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
 
-    // Create field_images table
-    await pool.query(`
-      CREATE TABLE field_images (
-        id SERIAL PRIMARY KEY,
-        field_id INTEGER REFERENCES sports_venues(id) ON DELETE CASCADE,
-        image_url VARCHAR(500) NOT NULL,
-        uploaded_by INTEGER REFERENCES users(id),
-        uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        is_primary BOOLEAN DEFAULT false
-      );
-    `);
+  return { opening_hours: text, opening_hours_schedule: parsed.schedule };
+};
 
-    // Create venue_reports table
-    await pool.query(`
-      CREATE TABLE venue_reports (
-        id SERIAL PRIMARY KEY,
-        venue_id INTEGER REFERENCES sports_venues(id) ON DELETE CASCADE,
-        reported_by_user_id INTEGER REFERENCES users(id),
-        report_type VARCHAR(50) NOT NULL,
-        description TEXT,
-        status VARCHAR(20) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
+// A structured price_list wins over the free-text prices, which then becomes its summary.
+// Without a list the text is kept as legacy.
+const resolvePrices = (body, existing = null) => {
+  const { priceList, error } = validatePriceList(body.price_list);
+  if (error) {
+    return { error };
+  }
 
-    // Create admin user with correct password hash for "Paperinik2006"
-    await pool.query(`
-      INSERT INTO users (username, email, password_hash, is_admin) VALUES 
-      ('Leosant06', 'leonardo.santoro2006@hotmail.com', '$2b$10$IOHdqS.8N8mHV08mALZaYe4Tuu64mArcHww1JQ7T05JLJsXILljny', true)
-      ON CONFLICT (username) DO UPDATE SET 
-        password_hash = '$2b$10$IOHdqS.8N8mHV08mALZaYe4Tuu64mArcHww1JQ7T05JLJsXILljny',
-        is_admin = true;
-    `);
+  const text = typeof body.prices === 'string' && body.prices.trim() !== '' ? body.prices.trim() : null;
 
-    // Add sample data
-    await pool.query(`
-      INSERT INTO sports_venues (name, description, latitude, longitude, city, province, region, sport_type, surface_type, venue_type, is_public, has_lighting, has_changing_rooms, has_parking) VALUES
-      ('Campo Comunale San Siro', 'Campo da calcio comunale con erba naturale', 45.4642, 9.1900, 'Milano', 'MI', 'Lombardia', 'football', 'erba naturale', '11vs11', true, true, true, true),
-      ('Centro Sportivo Comunale', 'Centro sportivo con campo da calcio', 41.9028, 12.4964, 'Roma', 'RM', 'Lazio', 'football', 'erba sintetica', '11vs11', true, true, true, true),
-      ('Piscina Comunale Milano', 'Piscina olimpionica comunale', 45.4642, 9.1900, 'Milano', 'MI', 'Lombardia', 'swimming', 'acqua', 'olimpionica', true, true, true, true)
-      ON CONFLICT DO NOTHING;
-    `);
+  if (priceList && priceList.length > 0) {
+    return { price_list: priceList, prices: summarizePriceList(priceList), ...priceBounds(priceList) };
+  }
 
-    res.json({ message: 'Database initialized successfully' });
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    res.status(500).json({ message: 'Error initializing database: ' + error.message });
+  // Clients that only know the text field send the summary back unchanged: keep the list then
+  if (body.price_list === undefined && existing && existing.price_list && text === existing.prices) {
+    return {
+      price_list: existing.price_list,
+      prices: existing.prices,
+      min_price: existing.min_price,
+      max_price: existing.max_price
+    };
   }
+
+  return { price_list: null, prices: text, min_price: null, max_price: null };
+};
+
+const ADDRESS_COLUMNS = ['address', 'city', 'province', 'region'];
+
+const textOrNull = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+// Stored address columns of a venue, with province and region in their normalised form.
+// A stored value that is not recognised is kept as it is rather than erased.
+const storedAddress = (venue) => ({
+  address: venue.address,
+  city: venue.city,
+  province: normalizeProvince(venue.province) || venue.province,
+  region: normalizeRegion(venue.region) || venue.region
 });
 
+// Address columns of a saved venue. What the client sent wins; on an edit that keeps the pin where it
+// was, the missing columns keep their stored values; anything still missing is derived from lat/lng.
+// An edit keeps its stored values when the geocoder gives nothing, so an outage never erases them.
+// province is stored as the ISTAT sigla and region as its canonical name. Returns the columns or { error }.
+const resolveAddress = async (body, existing = null) => {
+  const sent = ADDRESS_COLUMNS.reduce((values, column) => {
+    values[column] = textOrNull(body[column]);
+    return values;
+  }, {});
+
+  const province = sent.province === null ? null : normalizeProvince(sent.province);
+  if (sent.province !== null && !province) {
+    return { error: 'Provincia non riconosciuta: indica la sigla (es. MI)' };
+  }
+
+  const region = sent.region === null ? null : normalizeRegion(sent.region);
+  if (sent.region !== null && !region) {
+    return { error: 'Regione non riconosciuta' };
+  }
+
+  if (province && region && regionOfProvince(province) !== region) {
+    return { error: `La provincia ${province} non appartiene alla regione ${region}` };
+  }
+
+  const resolved = { ...sent, province, region };
+  const fillGaps = (values) => ADDRESS_COLUMNS.forEach((column) => {
+    resolved[column] = resolved[column] || values[column] || null;
+  });
+
+  const samePin = existing
+    && Number(existing.latitude) === Number(body.latitude)
+    && Number(existing.longitude) === Number(body.longitude);
+  if (samePin) {
+    fillGaps(storedAddress(existing));
+  }
+
+  if (ADDRESS_COLUMNS.some((column) => !resolved[column])) {
+    // The geocoder is best-effort: a venue is saved with whatever is known when it is down or busy
+    let place = null;
+    try {
+      place = await geocoder.reverse(Number(body.latitude), Number(body.longitude));
+    } catch (error) {
+      console.error('Error geocoding venue address:', error.message);
+    }
+
+    if (place) {
+      fillGaps({
+        address: textOrNull(place.address),
+        city: textOrNull(place.city),
+        province: normalizeProvince(place.province_code) || normalizeProvince(place.province),
+        region: normalizeRegion(place.region)
+      });
+    } else if (existing) {
+      fillGaps(storedAddress(existing));
+    }
+  }
+
+  // A derived region follows the province. A region the client sent is kept, and a derived province
+  // outside it is dropped. Unrecognised stored values have no known region and are left alone.
+  const provinceRegion = regionOfProvince(resolved.province);
+  if (provinceRegion && provinceRegion !== resolved.region) {
+    if (region) {
+      resolved.province = null;
+    } else {
+      resolved.region = provinceRegion;
+    }
+  }
+
+  return resolved;
+};
+
+// Adds is_open_now (Europe/Rome) to rows that carry a schedule
+const withOpenNow = (row) => (
+  'opening_hours_schedule' in row ? { ...row, is_open_now: isOpenNow(row.opening_hours_schedule) } : row
+);
+
+const router = express.Router();
+
 // Get all sports venues
-router.get('/', async (req, res) => {
+// Optional: lat/lng/radius_km, bbox, sort/order, fields=a,b,c and page/limit.
+// When page or limit is given the response is { fields, pagination } instead of a plain array.
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { city, province, region, surface_type, venue_type, sport_type } = req.query;
-    
-    let query = `
-      SELECT f.*, u.username as added_by_username,
-             COALESCE(
-               (SELECT json_agg(
-                 json_build_object(
-                   'id', fi.id,
-                   'image_url', fi.image_url,
-                   'uploaded_by', fi.uploaded_by,
-                   'uploaded_at', fi.uploaded_at,
-                   'is_primary', fi.is_primary
-                 )
-               ) FROM field_images fi WHERE fi.field_id = f.id), 
-               '[]'::json
-             ) as images
+    const { city, province, region, surface_type, venue_type, sport_type, open_at, max_price, free, min_rating } = req.query;
+
+    const geo = parseGeoQuery(req.query);
+    if (geo.error) {
+      return res.status(400).json({ message: geo.error });
+    }
+
+    const openAt = open_at === undefined ? null : parseOpenAt(open_at);
+    if (open_at !== undefined && !openAt) {
+      return res.status(400).json({ message: 'Parametro open_at non valido (es. now o 2026-06-14T19:30)' });
+    }
+
+    const maxPrice = max_price === undefined ? null : parseFloat(max_price);
+    if (max_price !== undefined && (!Number.isFinite(maxPrice) || maxPrice < 0)) {
+      return res.status(400).json({ message: 'Parametro max_price non valido' });
+    }
+
+    const minRating = min_rating === undefined ? null : parseFloat(min_rating);
+    if (min_rating !== undefined && (!Number.isFinite(minRating) || minRating < 1 || minRating > 5)) {
+      return res.status(400).json({ message: 'Parametro min_rating deve essere tra 1 e 5' });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination && pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const sort = parseSort(req.query, VENUE_SORTS, geo.near ? 'distance' : 'created_at');
+    if (sort.error) {
+      return res.status(400).json({ message: sort.error });
+    }
+    if (sort.key === 'distance' && !geo.near) {
+      return res.status(400).json({ message: 'sort=distance richiede lat e lng' });
+    }
+
+    const selection = parseFieldSelection(req.query, Object.keys(VENUE_LIST_COLUMNS));
+    if (selection && selection.error) {
+      return res.status(400).json({ message: selection.error });
+    }
+    if (selection && selection.keys.includes('distance_km') && !geo.near) {
+      return res.status(400).json({ message: 'distance_km richiede lat e lng' });
+    }
+
+    const params = [];
+    let paramIndex = 1;
+    let distanceColumn = '';
+    let favoriteColumn = '';
+
+    if (geo.near) {
+      params.push(geo.near.lat, geo.near.lng);
+      distanceColumn = `ROUND(${distanceSql('$1', '$2')}::numeric, 2)`;
+      paramIndex = 3;
+    }
+
+    if (req.user) {
+      favoriteColumn = favoriteSql(`$${paramIndex}`);
+      params.push(req.user.userId);
+      paramIndex++;
+    }
+
+    const computedColumns = {
+      distance_km: distanceColumn,
+      is_favorite: favoriteColumn || 'false'
+    };
+
+    let selectColumns;
+    if (selection) {
+      selectColumns = selection.keys
+        .map((key) => `${key in computedColumns ? computedColumns[key] : VENUE_LIST_COLUMNS[key]} as ${key}`)
+        .join(', ');
+    } else {
+      selectColumns = `f.*, u.username as added_by_username, rs.avg_rating, rs.review_count, ${distanceColumn ? `${distanceColumn} as distance_km, ` : ''}${favoriteColumn ? `${favoriteColumn} as is_favorite, ` : ''}${IMAGES_JSON_SQL} as images`;
+    }
+
+    let fromWhere = `
       FROM sports_venues f 
       LEFT JOIN users u ON f.added_by_user_id = u.id
-      WHERE 1=1
+      ${REVIEW_STATS_JOIN}
+      WHERE f.is_hidden = false
     `;
-    const params = [];
-    let paramIndex = 1;
+
+    if (geo.near && geo.near.radiusKm !== null) {
+      // Cheap bounding-box prefilter so the lat/lng index can be used before the exact distance check
+      const bounds = radiusBounds(geo.near);
+      fromWhere += ` AND f.latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`;
+      fromWhere += ` AND f.longitude BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`;
+      fromWhere += ` AND ${distanceSql('$1', '$2')} <= $${paramIndex + 4}`;
+      params.push(bounds.minLat, bounds.maxLat, bounds.minLng, bounds.maxLng, geo.near.radiusKm);
+      paramIndex += 5;
+    }
+
+    if (geo.bbox) {
+      fromWhere += ` AND f.latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`;
+      fromWhere += ` AND f.longitude BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`;
+      params.push(geo.bbox.minLat, geo.bbox.maxLat, geo.bbox.minLng, geo.bbox.maxLng);
+      paramIndex += 4;
+    }
 
     if (city) {
-      query += ` AND f.city ILIKE $${paramIndex}`;
+      fromWhere += ` AND f.city ILIKE $${paramIndex}`;
       params.push(`%${city}%`);
       paramIndex++;
     }
 
     if (province) {
-      query += ` AND f.province ILIKE $${paramIndex}`;
+      fromWhere += ` AND f.province ILIKE $${paramIndex}`;
       params.push(`%${province}%`);
       paramIndex++;
     }
 
     if (region) {
-      query += ` AND f.region ILIKE $${paramIndex}`;
+      fromWhere += ` AND f.region ILIKE $${paramIndex}`;
       params.push(`%${region}%`);
       paramIndex++;
     }
 
     if (surface_type) {
-      query += ` AND f.surface_type = $${paramIndex}`;
+      fromWhere += ` AND f.surface_type = $${paramIndex}`;
       params.push(surface_type);
       paramIndex++;
     }
 
     if (venue_type) {
-      query += ` AND f.venue_type = $${paramIndex}`;
+      fromWhere += ` AND f.venue_type = $${paramIndex}`;
       params.push(venue_type);
       paramIndex++;
     }
 
     if (sport_type) {
-      query += ` AND f.sport_type = $${paramIndex}`;
+      fromWhere += ` AND f.sport_type = $${paramIndex}`;
       params.push(sport_type);
       paramIndex++;
     }
 
-    query += ' ORDER BY f.created_at DESC';
+    if (minRating !== null) {
+      fromWhere += ` AND rs.avg_rating >= $${paramIndex}`;
+      params.push(minRating);
+      paramIndex++;
+    }
 
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    // Price filters only match venues with a structured price_list
+    if (maxPrice !== null) {
+      fromWhere += ` AND f.min_price <= $${paramIndex}`;
+      params.push(maxPrice);
+      paramIndex++;
+    }
+
+    if (free === 'true') {
+      fromWhere += ' AND f.max_price = 0';
+    }
+
+    // Venues with legacy free-text hours cannot be evaluated and are left out
+    if (openAt) {
+      fromWhere += ` AND EXISTS (
+        SELECT 1 FROM jsonb_array_elements(f.opening_hours_schedule -> $${paramIndex}::text) slot
+        WHERE (slot->>0)::int <= $${paramIndex + 1}::int AND (slot->>1)::int > $${paramIndex + 1}::int
+      )`;
+      params.push(openAt.day, openAt.minute);
+      paramIndex += 2;
+    }
+
+    const orderColumn = sort.key === 'distance' ? distanceSql('$1', '$2') : sort.column;
+    let query = `SELECT ${selectColumns} ${fromWhere} ORDER BY ${orderColumn} ${sort.direction}, f.id DESC`;
+
+    if (!pagination) {
+      const result = await pool.query(query, params);
+      return res.json(result.rows.map(withOpenNow));
+    }
+
+    // Count with the same filters; the computed columns keep every parameter referenced (and typed)
+    const countColumns = ['f.id', distanceColumn, favoriteColumn].filter(Boolean).join(', ');
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM (SELECT ${countColumns} ${fromWhere}) filtered`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    const result = await pool.query(query, [...params, pagination.limit, pagination.offset]);
+
+    res.json({
+      fields: result.rows.map(withOpenNow),
+      pagination: buildPaginationMeta(pagination, total)
+    });
 
   } catch (error) {
     console.error('Error fetching fields:', error);
@@ -226,34 +566,25 @@ router.get('/', async (req, res) => {
 });
 
 // Get sports venue by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
     const result = await pool.query(`
-      SELECT f.*, u.username as added_by_username,
-             COALESCE(
-               (SELECT json_agg(
-                 json_build_object(
-                   'id', fi.id,
-                   'image_url', fi.image_url,
-                   'uploaded_by', fi.uploaded_by,
-                   'uploaded_at', fi.uploaded_at,
-                   'is_primary', fi.is_primary
-                 )
-               ) FROM field_images fi WHERE fi.field_id = f.id), 
-               '[]'::json
-             ) as images
+      SELECT f.*, u.username as added_by_username, rs.avg_rating, rs.review_count,
+             ${req.user ? favoriteSql('$2') : 'false'} as is_favorite, ${IMAGES_JSON_SQL} as images
       FROM sports_venues f 
       LEFT JOIN users u ON f.added_by_user_id = u.id 
+      ${REVIEW_STATS_JOIN}
       WHERE f.id = $1
-    `, [id]);
+    `, req.user ? [id, req.user.userId] : [id]);
 
-    if (result.rows.length === 0) {
+    // Hidden venues are only visible to moderators
+    if (result.rows.length === 0 || (result.rows[0].is_hidden && !hasPermission(req.user, 'content.moderate'))) {
       return res.status(404).json({ message: 'Venue not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json(withOpenNow(result.rows[0]));
 
   } catch (error) {
     console.error('Error fetching field:', error);
@@ -262,13 +593,11 @@ router.get('/:id', async (req, res) => {
 });
 
 // Add new sports venue (requires authentication)
-router.post('/', auth, [
+router.post('/', auth, requireVerified, [
   body('name').notEmpty().trim().escape(),
   body('latitude').isFloat(),
   body('longitude').isFloat(),
-  body('city').notEmpty().trim().escape(),
-  body('province').notEmpty().trim().escape(),
-  body('region').notEmpty().trim().escape(),
+  body('city').optional({ nullable: true }).trim().escape(),
   body('sport_type').notEmpty().trim().escape()
 ], async (req, res) => {
   try {
@@ -282,10 +611,6 @@ router.post('/', auth, [
       description,
       latitude,
       longitude,
-      address,
-      city,
-      province,
-      region,
       surface_type,
       venue_type,
       sport_type,
@@ -293,29 +618,70 @@ router.post('/', auth, [
       has_lighting,
       has_changing_rooms,
       has_parking,
-      opening_hours,
-      prices
+      opening_hours
     } = req.body;
 
-    // Insert into sports_venues table
-    const result = await pool.query(`
-      INSERT INTO sports_venues (
+    const hours = resolveOpeningHours(opening_hours);
+    if (hours.error) {
+      return res.status(400).json({ message: hours.error });
+    }
+
+    const pricing = resolvePrices(req.body);
+    if (pricing.error) {
+      return res.status(400).json({ message: pricing.error });
+    }
+
+    const location = await resolveAddress(req.body);
+    if (location.error) {
+      return res.status(400).json({ message: location.error });
+    }
+    const { address, city, province, region } = location;
+
+    // Look for the same venue already on the map unless the client confirmed with force=true
+    const force = req.body.force === true || req.body.force === 'true' || req.query.force === 'true';
+    if (!force) {
+      const duplicates = await findDuplicateVenues({ name, latitude, longitude, sport_type });
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          message: 'Esiste già un impianto simile nelle vicinanze. Invia di nuovo con force=true per aggiungerlo comunque.',
+          duplicates
+        });
+      }
+    }
+
+    // Insert into sports_venues table together with its 'create' revision
+    const venue = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO sports_venues (
+          name, description, latitude, longitude, address, city, province, region,
+          surface_type, venue_type, sport_type, is_public, has_lighting, has_changing_rooms, 
+          has_parking, opening_hours, opening_hours_schedule, prices, price_list, min_price, max_price,
+          added_by_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+        RETURNING *
+      `, [
         name, description, latitude, longitude, address, city, province, region,
-        surface_type, venue_type, sport_type, is_public, has_lighting, has_changing_rooms, 
-        has_parking, opening_hours, prices, added_by_user_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
-      RETURNING *
-    `, [
-      name, description, latitude, longitude, address, city, province, region,
-      surface_type, venue_type, sport_type, is_public === undefined ? true : is_public, has_lighting || false,
-      has_changing_rooms || false, has_parking || false, 
-      (opening_hours && opening_hours.trim() !== '') ? opening_hours : null, 
-      (prices && prices.trim() !== '') ? prices : null, req.user.userId
-    ]);
+        surface_type, venue_type, sport_type, is_public === undefined ? true : is_public, has_lighting || false,
+        has_changing_rooms || false, has_parking || false, 
+        hours.opening_hours, hours.opening_hours_schedule,
+        pricing.prices, pricing.price_list ? JSON.stringify(pricing.price_list) : null,
+        pricing.min_price, pricing.max_price, req.user.userId
+      ]);
+
+      await recordRevision(client, {
+        venueId: result.rows[0].id,
+        before: null,
+        after: result.rows[0],
+        userId: req.user.userId,
+        action: 'create'
+      });
+
+      return result.rows[0];
+    });
 
     res.status(201).json({
       message: 'Venue added successfully',
-      field: result.rows[0]
+      field: withOpenNow(venue)
     });
 
   } catch (error) {
@@ -324,11 +690,581 @@ router.post('/', auth, [
   }
 });
 
-// Update sports venue (requires authentication - any user can edit)
+// Update sports venue (requires authentication)
+// The creator and admins edit directly; anyone else's edit is stored as a pending proposal (202).
+// Fields left out of the body keep their stored values.
 router.put('/:id', auth, [
-  body('name').notEmpty().trim().escape(),
-  body('latitude').isFloat(),
-  body('longitude').isFloat()
+  body('name').optional().notEmpty().trim().escape(),
+  body('latitude').optional().isFloat(),
+  body('longitude').optional().isFloat(),
+  body('city').optional({ nullable: true }).trim().escape(),
+  body('sport_type').optional().trim().escape()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const existingField = await pool.query('SELECT * FROM sports_venues WHERE id = $1', [id]);
+    if (existingField.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const field = existingField.rows[0];
+
+    // Venue owner, or a role allowed to manage any venue
+    const canManageAny = hasPermission(req.user, 'venues.manage_any');
+
+    // Only what the client sent counts as a change
+    const sentOrStored = (column) => (req.body[column] === undefined ? field[column] : req.body[column]);
+    const latitude = sentOrStored('latitude');
+    const longitude = sentOrStored('longitude');
+
+    const hours = req.body.opening_hours === undefined
+      ? { opening_hours: field.opening_hours, opening_hours_schedule: field.opening_hours_schedule }
+      : resolveOpeningHours(req.body.opening_hours);
+    if (hours.error) {
+      return res.status(400).json({ message: hours.error });
+    }
+
+    const pricing = req.body.prices === undefined && req.body.price_list === undefined
+      ? { prices: field.prices, price_list: field.price_list, min_price: field.min_price, max_price: field.max_price }
+      : resolvePrices(req.body, field);
+    if (pricing.error) {
+      return res.status(400).json({ message: pricing.error });
+    }
+
+    const location = await resolveAddress({ ...req.body, latitude, longitude }, field);
+    if (location.error) {
+      return res.status(400).json({ message: location.error });
+    }
+
+    const values = {
+      name: sentOrStored('name'),
+      description: sentOrStored('description'),
+      latitude,
+      longitude,
+      ...location,
+      surface_type: sentOrStored('surface_type'),
+      venue_type: sentOrStored('venue_type'),
+      sport_type: sentOrStored('sport_type'),
+      is_public: sentOrStored('is_public'),
+      has_lighting: sentOrStored('has_lighting'),
+      has_changing_rooms: sentOrStored('has_changing_rooms'),
+      has_parking: sentOrStored('has_parking'),
+      opening_hours: hours.opening_hours,
+      opening_hours_schedule: hours.opening_hours_schedule,
+      prices: pricing.prices,
+      price_list: pricing.price_list,
+      min_price: pricing.min_price,
+      max_price: pricing.max_price
+    };
+
+    if (field.added_by_user_id !== userId && !canManageAny) {
+      const changes = diffVenue(field, values);
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ message: 'Nessuna modifica da proporre' });
+      }
+
+      const proposal = await pool.query(`
+        INSERT INTO venue_edit_proposals (venue_id, proposed_by_user_id, changes)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [id, userId, JSON.stringify(changes)]);
+
+      return res.status(202).json({
+        message: 'La tua modifica è in attesa di revisione',
+        pending_review: true,
+        proposal: proposal.rows[0]
+      });
+    }
+
+    // Update sports_venues table, keeping the previous values as a revision
+    const outcome = await withTransaction((client) => updateVenueWithRevision(client, id, values, userId));
+
+    if (!outcome) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    res.json({
+      message: 'Impianto aggiornato con successo',
+      pending_review: false,
+      field: withOpenNow(outcome.venue),
+      revision: outcome.revision
+    });
+
+  } catch (error) {
+    console.error('Error updating field:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get all pending edit proposals (admin only)
+router.get('/proposals/pending', auth, requirePermission('venues.manage_any'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.*, u.username as proposed_by_username, f.name as venue_name, f.city, f.province
+      FROM venue_edit_proposals p
+      LEFT JOIN users u ON p.proposed_by_user_id = u.id
+      LEFT JOIN sports_venues f ON p.venue_id = f.id
+      WHERE p.status = 'pending'
+      ORDER BY p.created_at ASC
+    `);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error getting pending proposals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get edit proposals submitted by the current user
+router.get('/proposals/mine', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.*, f.name as venue_name
+      FROM venue_edit_proposals p
+      LEFT JOIN sports_venues f ON p.venue_id = f.id
+      WHERE p.proposed_by_user_id = $1
+      ORDER BY p.created_at DESC
+    `, [req.user.userId]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error getting user proposals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get edit proposals of a venue (venue owner or admin), pending by default
+router.get('/:id/proposals', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const status = req.query.status || 'pending';
+
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'Stato non valido' });
+    }
+
+    // Venue owner, or a role allowed to manage any venue
+    const canManageAny = hasPermission(req.user, 'venues.manage_any');
+
+    const fieldResult = await pool.query('SELECT added_by_user_id FROM sports_venues WHERE id = $1', [id]);
+    if (fieldResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    if (fieldResult.rows[0].added_by_user_id !== userId && !canManageAny) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const params = [id];
+    let query = `
+      SELECT p.*, u.username as proposed_by_username
+      FROM venue_edit_proposals p
+      LEFT JOIN users u ON p.proposed_by_user_id = u.id
+      WHERE p.venue_id = $1
+    `;
+
+    if (status !== 'all') {
+      query += ' AND p.status = $2';
+      params.push(status);
+    }
+
+    query += ' ORDER BY p.created_at DESC';
+
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error getting proposals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a pending edit proposal (venue owner or admin)
+const reviewProposal = (decision) => async (req, res) => {
+  try {
+    const { id, proposalId } = req.params;
+    const userId = req.user.userId;
+    const note = req.body.note || null;
+
+    // Venue owner, or a role allowed to manage any venue
+    const canManageAny = hasPermission(req.user, 'venues.manage_any');
+
+    const fieldResult = await pool.query('SELECT added_by_user_id FROM sports_venues WHERE id = $1', [id]);
+    if (fieldResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    if (fieldResult.rows[0].added_by_user_id !== userId && !canManageAny) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const proposalResult = await client.query(
+        'SELECT * FROM venue_edit_proposals WHERE id = $1 AND venue_id = $2 FOR UPDATE',
+        [proposalId, id]
+      );
+
+      if (proposalResult.rows.length === 0) {
+        return { status: 404, message: 'Proposta non trovata' };
+      }
+
+      const proposal = proposalResult.rows[0];
+      if (proposal.status !== 'pending') {
+        return { status: 409, message: 'Proposta già revisionata' };
+      }
+
+      let applied = null;
+      if (decision === 'approved') {
+        // Apply only the proposed columns on top of the current state, so later edits are kept
+        const current = await client.query('SELECT * FROM sports_venues WHERE id = $1', [id]);
+        const values = pickEditable(current.rows[0]);
+        Object.entries(proposal.changes).forEach(([column, change]) => {
+          values[column] = change.to;
+        });
+        applied = await updateVenueWithRevision(client, id, values, proposal.proposed_by_user_id);
+      }
+
+      const updated = await client.query(`
+        UPDATE venue_edit_proposals SET
+          status = $1, reviewed_by_user_id = $2, review_note = $3,
+          applied_revision_id = $4, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *
+      `, [decision, userId, note, applied && applied.revision ? applied.revision.id : null, proposal.id]);
+
+      return { proposal: updated.rows[0], field: applied ? applied.venue : undefined };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    res.json({
+      message: decision === 'approved' ? 'Proposta approvata' : 'Proposta rifiutata',
+      ...outcome
+    });
+
+  } catch (error) {
+    console.error(`Error reviewing proposal (${decision}):`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.post('/:id/proposals/:proposalId/approve', auth, reviewProposal('approved'));
+router.post('/:id/proposals/:proposalId/reject', auth, reviewProposal('rejected'));
+
+// Get edit history of a venue (newest first)
+router.get('/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const fieldResult = await pool.query('SELECT id FROM sports_venues WHERE id = $1', [id]);
+    if (fieldResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT vr.id, vr.revision_number, vr.action, vr.edited_by_user_id, u.username as edited_by_username,
+             vr.changes, vr.reverted_to_revision_id, vr.created_at
+      FROM venue_revisions vr
+      LEFT JOIN users u ON vr.edited_by_user_id = u.id
+      WHERE vr.venue_id = $1
+      ORDER BY vr.revision_number DESC
+    `, [id]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error fetching field history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revert a venue to the state of a given revision (venue owner or admin)
+router.post('/:id/history/:revisionId/revert', auth, async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    const userId = req.user.userId;
+
+    // Venue owner, or a role allowed to manage any venue
+    const canManageAny = hasPermission(req.user, 'venues.manage_any');
+
+    const fieldResult = await pool.query('SELECT added_by_user_id FROM sports_venues WHERE id = $1', [id]);
+    if (fieldResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    if (fieldResult.rows[0].added_by_user_id !== userId && !canManageAny) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const revisionResult = await pool.query(
+      'SELECT * FROM venue_revisions WHERE id = $1 AND venue_id = $2',
+      [revisionId, id]
+    );
+    if (revisionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const revision = revisionResult.rows[0];
+
+    const outcome = await withTransaction((client) => updateVenueWithRevision(
+      client, id, revision.snapshot, userId,
+      { action: 'revert', revertedToRevisionId: revision.id }
+    ));
+
+    if (!outcome) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    res.json({
+      message: `Impianto ripristinato alla revisione ${revision.revision_number}`,
+      field: outcome.venue,
+      revision: outcome.revision
+    });
+
+  } catch (error) {
+    console.error('Error reverting field:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Run a multer middleware and answer its errors with a 400
+const handleUpload = (multerMiddleware) => (req, res, next) => {
+  multerMiddleware(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      console.error('Multer error:', err);
+      if (err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT') {
+        return res.status(400).json({ message: `Puoi caricare al massimo ${MAX_IMAGES_PER_UPLOAD} immagini alla volta` });
+      }
+      return res.status(400).json({ message: 'File upload error: ' + err.message });
+    } else if (err) {
+      console.error('File filter error:', err);
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
+
+// Trimmed caption, null when empty, undefined when too long
+const normalizeCaption = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const caption = String(value).trim();
+  return caption.length <= MAX_CAPTION_LENGTH ? caption : undefined;
+};
+
+// Check, re-encode and store a batch of uploaded files, then insert them after the venue's current images.
+// Nothing is kept if any file is rejected. Returns { images } or { status, message }.
+const addVenueImages = async (venueId, userId, files, captions) => {
+  for (const file of files) {
+    // The extension and mimetype come from the client: check the actual content
+    if (!detectImageType(file.buffer)) {
+      return { status: 400, message: `${file.originalname}: il file non è un'immagine JPEG, PNG, GIF o WebP valida` };
+    }
+  }
+
+  // Check if venue exists
+  const fieldResult = await pool.query('SELECT id FROM sports_venues WHERE id = $1', [venueId]);
+  if (fieldResult.rows.length === 0) {
+    return { status: 404, message: 'Venue not found' };
+  }
+
+  const processed = [];
+  for (const file of files) {
+    try {
+      processed.push(await processImage(file.buffer));
+    } catch (processingError) {
+      console.error('Image processing error:', processingError);
+      return { status: 400, message: `${file.originalname}: immagine danneggiata o non supportata` };
+    }
+  }
+
+  const stored = [];
+  try {
+    for (const variants of processed) {
+      const urls = await saveImageVariants(variants);
+      stored.push({ image_url: urls.original, medium_url: urls.medium, thumbnail_url: urls.thumbnail });
+    }
+
+    const images = await withTransaction(async (client) => {
+      // Serialise uploads per venue so concurrent batches get distinct sort orders
+      await client.query('SELECT id FROM sports_venues WHERE id = $1 FOR UPDATE', [venueId]);
+
+      const current = await client.query(`
+        SELECT COALESCE(MAX(sort_order), -1) as max_order, BOOL_OR(is_primary AND NOT is_hidden) as has_primary
+        FROM field_images WHERE field_id = $1
+      `, [venueId]);
+
+      let nextOrder = current.rows[0].max_order + 1;
+      // The first image of a venue becomes its primary one
+      let needsPrimary = !current.rows[0].has_primary;
+      const inserted = [];
+
+      for (const [index, urls] of stored.entries()) {
+        const result = await client.query(`
+          INSERT INTO field_images (
+            field_id, image_url, medium_url, thumbnail_url, uploaded_by, is_primary, caption, sort_order
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *
+        `, [venueId, urls.image_url, urls.medium_url, urls.thumbnail_url, userId, needsPrimary, captions[index], nextOrder]);
+        inserted.push(result.rows[0]);
+        needsPrimary = false;
+        nextOrder++;
+      }
+
+      return inserted;
+    });
+
+    return { images };
+  } catch (error) {
+    await Promise.all(stored.map(removeImageFiles));
+    throw error;
+  }
+};
+
+// Upload image for a field
+router.post('/:id/image', auth, rateLimit('uploads'), handleUpload(upload.single('image')), async (req, res) => {
+  try {
+    console.log('Image upload request received');
+    console.log('Field ID:', req.params.id);
+    console.log('User ID:', req.user.userId);
+    console.log('File:', req.file && { name: req.file.originalname, size: req.file.size });
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No image file provided' });
+    }
+
+    const caption = normalizeCaption(req.body.caption);
+    if (caption === undefined) {
+      return res.status(400).json({ message: `La didascalia non può superare i ${MAX_CAPTION_LENGTH} caratteri` });
+    }
+
+    const outcome = await addVenueImages(req.params.id, req.user.userId, [req.file], [caption]);
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    const image = outcome.images[0];
+
+    res.json({ 
+      message: 'Image uploaded successfully', 
+      imageUrl: image.image_url,
+      image
+    });
+
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload several images at once (multipart field "images", optional "captions" repeated in the same order)
+router.post('/:id/images', auth, rateLimit('uploads'), handleUpload(upload.array('images', MAX_IMAGES_PER_UPLOAD)), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No image file provided' });
+    }
+
+    const rawCaptions = req.body.captions === undefined ? [] : [].concat(req.body.captions);
+    if (rawCaptions.length > 0 && rawCaptions.length !== files.length) {
+      return res.status(400).json({ message: 'Invia una didascalia per ogni immagine (anche vuota) o nessuna' });
+    }
+
+    const captions = files.map((file, index) => normalizeCaption(rawCaptions[index]));
+    if (captions.includes(undefined)) {
+      return res.status(400).json({ message: `La didascalia non può superare i ${MAX_CAPTION_LENGTH} caratteri` });
+    }
+
+    const outcome = await addVenueImages(req.params.id, req.user.userId, files, captions);
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    res.status(201).json({
+      message: `${outcome.images.length} immagini caricate con successo`,
+      images: outcome.images
+    });
+
+  } catch (error) {
+    console.error('Error uploading images:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reorder the images of a venue (venue owner or admin)
+// Body: { image_ids: [...] } listing every image of the venue, hidden ones included, in the new order
+router.put('/:id/images/order', auth, [
+  body('image_ids').isArray({ min: 1 }).withMessage('image_ids deve essere una lista di immagini'),
+  body('image_ids.*').isInt({ min: 1 }).withMessage('ID immagine non valido').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const imageIds = req.body.image_ids;
+
+    const canManageAny = hasPermission(req.user, 'venues.manage_any');
+
+    const fieldResult = await pool.query('SELECT added_by_user_id FROM sports_venues WHERE id = $1', [id]);
+    if (fieldResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    if (fieldResult.rows[0].added_by_user_id !== userId && !canManageAny) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const current = await client.query('SELECT id FROM field_images WHERE field_id = $1 FOR UPDATE', [id]);
+      const currentIds = new Set(current.rows.map((row) => row.id));
+
+      if (new Set(imageIds).size !== imageIds.length || imageIds.length !== currentIds.size ||
+          !imageIds.every((imageId) => currentIds.has(imageId))) {
+        return null;
+      }
+
+      const result = await client.query(`
+        UPDATE field_images fi SET sort_order = o.position - 1
+        FROM unnest($2::int[]) WITH ORDINALITY AS o(image_id, position)
+        WHERE fi.id = o.image_id AND fi.field_id = $1
+        RETURNING fi.*
+      `, [id, imageIds]);
+
+      return result.rows.sort((a, b) => a.sort_order - b.sort_order);
+    });
+
+    if (!outcome) {
+      return res.status(400).json({ message: 'image_ids deve contenere ogni immagine dell\'impianto una sola volta' });
+    }
+
+    res.json({ message: 'Ordine delle immagini aggiornato', images: outcome });
+
+  } catch (error) {
+    console.error('Error reordering images:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the caption of an image (uploader, venue owner or moderators)
+router.put('/:id/image/:imageId', auth, [
+  body('caption').optional({ nullable: true }).isString().withMessage('Didascalia non valida')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -336,127 +1272,97 @@ router.put('/:id', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { id } = req.params;
+    const { id, imageId } = req.params;
     const userId = req.user.userId;
 
-    // Check if venue exists
-    const existingField = await pool.query(
-      `SELECT 
-        id, name, description, latitude, longitude, address, city, province, region,
-        sport_type, surface_type, venue_type, is_public, has_lighting, has_changing_rooms, has_parking,
-        opening_hours, prices, added_by_user_id, created_at, updated_at, 'sports_venues' as source_table
-       FROM sports_venues WHERE id = $1`,
-      [id]
-    );
-
-    if (existingField.rows.length === 0) {
-      return res.status(404).json({ message: 'Venue not found' });
+    const caption = normalizeCaption(req.body.caption);
+    if (caption === undefined) {
+      return res.status(400).json({ message: `La didascalia non può superare i ${MAX_CAPTION_LENGTH} caratteri` });
     }
 
-    const field = existingField.rows[0];
+    const imageResult = await pool.query(`
+      SELECT fi.uploaded_by, f.added_by_user_id
+      FROM field_images fi
+      JOIN sports_venues f ON fi.field_id = f.id
+      WHERE fi.id = $1 AND fi.field_id = $2
+    `, [imageId, id]);
 
-    const {
-      name,
-      description,
-      latitude,
-      longitude,
-      address,
-      city,
-      province,
-      region,
-      surface_type,
-      venue_type,
-      sport_type,
-      is_public,
-      has_lighting,
-      has_changing_rooms,
-      has_parking,
-      opening_hours,
-      prices
-    } = req.body;
+    if (imageResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
 
-    // Update sports_venues table
-    const result = await pool.query(`
-      UPDATE sports_venues SET
-        name = $1, description = $2, latitude = $3, longitude = $4, address = $5,
-        city = $6, province = $7, region = $8, surface_type = $9, venue_type = $10,
-        sport_type = $11, is_public = $12, has_lighting = $13, has_changing_rooms = $14, has_parking = $15,
-        opening_hours = $16, prices = $17, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $18
-      RETURNING *
-    `, [
-      name, description, latitude, longitude, address, city, province, region,
-      surface_type, venue_type, sport_type, is_public, has_lighting, has_changing_rooms,
-      has_parking, (opening_hours && opening_hours.trim() !== '') ? opening_hours : null, 
-      (prices && prices.trim() !== '') ? prices : null, id
-    ]);
+    const image = imageResult.rows[0];
+    if (image.uploaded_by !== userId && image.added_by_user_id !== userId &&
+        !hasPermission(req.user, 'content.moderate')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    res.json({
-              message: 'Impianto aggiornato con successo',
-      field: result.rows[0]
-    });
+    const result = await pool.query(
+      'UPDATE field_images SET caption = $1 WHERE id = $2 RETURNING *',
+      [caption, imageId]
+    );
+
+    res.json({ message: 'Didascalia aggiornata', image: result.rows[0] });
 
   } catch (error) {
-    console.error('Error updating field:', error);
+    console.error('Error updating image caption:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Upload image for a field
-router.post('/:id/image', auth, (req, res, next) => {
-  upload.single('image')(req, res, (err) => {
-    if (err instanceof multer.MulterError) {
-      console.error('Multer error:', err);
-      return res.status(400).json({ message: 'File upload error: ' + err.message });
-    } else if (err) {
-      console.error('File filter error:', err);
-      return res.status(400).json({ message: err.message });
-    }
-    next();
-  });
-}, async (req, res) => {
+// Hide or restore an inappropriate image without deleting it (moderators and admins)
+router.put('/:id/image/:imageId/visibility', auth, requirePermission('content.moderate'), [
+  body('hidden').isBoolean().withMessage('hidden deve essere un booleano')
+], async (req, res) => {
   try {
-    console.log('Image upload request received');
-    console.log('Field ID:', req.params.id);
-    console.log('User ID:', req.user.userId);
-    console.log('File:', req.file);
-    
-    const { id } = req.params;
-    const userId = req.user.userId;
-
-    if (!req.file) {
-      return res.status(400).json({ message: 'No image file provided' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if venue exists
-    const fieldResult = await pool.query(
-      `SELECT id FROM sports_venues WHERE id = $1`,
-      [id]
-    );
-    if (fieldResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Venue not found' });
-    }
+    const { id, imageId } = req.params;
+    const hidden = req.body.hidden === true || req.body.hidden === 'true';
+
+    const image = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE field_images SET
+          is_hidden = $1,
+          hidden_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END,
+          hidden_by_user_id = CASE WHEN $1 THEN $4::int ELSE NULL END,
+          is_primary = CASE WHEN $1 THEN false ELSE is_primary END
+        WHERE id = $2 AND field_id = $3
+        RETURNING id
+      `, [hidden, imageId, id, req.user.userId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
 
-    const imageUrl = `/uploads/field-images/${req.file.filename}`;
+      // A venue keeps a visible primary image whenever it has one
+      await client.query(`
+        UPDATE field_images SET is_primary = true
+        WHERE id = (
+          SELECT id FROM field_images
+          WHERE field_id = $1 AND is_hidden = false
+          ORDER BY sort_order ASC, id ASC
+          LIMIT 1
+        ) AND NOT EXISTS (
+          SELECT 1 FROM field_images WHERE field_id = $1 AND is_primary = true AND is_hidden = false
+        )
+      `, [id]);
 
-    // Check if this is the first image (make it primary)
-    const existingImages = await pool.query('SELECT COUNT(*) as count FROM field_images WHERE field_id = $1', [id]);
-    const isPrimary = existingImages.rows[0].count === '0';
+      const refreshed = await client.query('SELECT * FROM field_images WHERE id = $1', [imageId]);
+      return refreshed.rows[0];
+    });
 
-    // Insert new image
-    const imageResult = await pool.query(`
-      INSERT INTO field_images (field_id, image_url, uploaded_by, is_primary)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id
-    `, [id, imageUrl, userId, isPrimary]);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
 
-    res.json({ 
-      message: 'Image uploaded successfully', 
-      imageUrl: imageUrl 
-    });
+    res.json({ message: hidden ? 'Immagine nascosta' : 'Immagine di nuovo visibile', image });
 
   } catch (error) {
-    console.error('Error uploading image:', error);
+    console.error('Error updating image visibility:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -482,30 +1388,21 @@ router.delete('/:id/image/:imageId', auth, async (req, res) => {
 
     const image = imageResult.rows[0];
 
-    // Check if user is the one who uploaded the image or is admin
-    if (image.uploaded_by !== userId) {
-      // TODO: Add admin check here when admin functionality is implemented
+    // Check if user is the one who uploaded the image or can moderate content
+    if (image.uploaded_by !== userId && !hasPermission(req.user, 'content.moderate')) {
       return res.status(403).json({ message: 'You can only delete images you uploaded' });
     }
 
-    // Delete the file from filesystem
-    const fs = require('fs');
-    const imagePath = image.image_url.replace('/uploads/', 'uploads/');
-    
-    if (fs.existsSync(imagePath)) {
-      fs.unlinkSync(imagePath);
-      console.log('Image file deleted:', imagePath);
-    }
-
-    // Delete from database
+    // Delete from database, then the stored files
     await pool.query('DELETE FROM field_images WHERE id = $1', [req.params.imageId]);
+    await removeImageFiles(image);
 
     // If this was the primary image, make another one primary
     if (image.is_primary) {
       const nextPrimary = await pool.query(`
         SELECT id FROM field_images 
-        WHERE field_id = $1 
-        ORDER BY uploaded_at ASC 
+        WHERE field_id = $1 AND is_hidden = false
+        ORDER BY sort_order ASC, id ASC
         LIMIT 1
       `, [id]);
       
@@ -544,6 +1441,10 @@ router.put('/:id/image/:imageId/primary', auth, async (req, res) => {
       return res.status(404).json({ message: 'Image not found' });
     }
 
+    if (imageResult.rows[0].is_hidden) {
+      return res.status(400).json({ message: 'Un\'immagine nascosta non può essere principale' });
+    }
+
     // Remove primary from all images in this field
     await pool.query(`
       UPDATE field_images 
@@ -572,9 +1473,8 @@ router.delete('/:id', auth, async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
 
-    // Check if user is admin
-    const userResult = await pool.query('SELECT is_admin FROM users WHERE id = $1', [userId]);
-    const isAdmin = userResult.rows[0]?.is_admin || false;
+    // Venue owner, or a role allowed to manage any venue
+    const canManageAny = hasPermission(req.user, 'venues.manage_any');
 
     // Check if venue exists first
     const fieldExists = await pool.query('SELECT * FROM sports_venues WHERE id = $1', [id]);
@@ -582,62 +1482,28 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Venue not found' });
     }
 
+    // Stored image files, removed once the venue row is gone
+    const imagesResult = await pool.query(
+      'SELECT image_url, medium_url, thumbnail_url FROM field_images WHERE field_id = $1',
+      [id]
+    );
+
     let result;
-    if (isAdmin) {
+    if (canManageAny) {
       // Admin can delete any venue - delete related data first
       console.log('Admin deleting venue:', id);
       
-      // Delete all images first
-      const imagesResult = await pool.query('SELECT image_url FROM field_images WHERE field_id = $1', [id]);
-      for (const image of imagesResult.rows) {
-        const imagePath = path.join(__dirname, '..', image.image_url);
-        if (fs.existsSync(imagePath)) {
-          fs.unlinkSync(imagePath);
-        }
-      }
-
       // Delete field images from database
       await pool.query('DELETE FROM field_images WHERE field_id = $1', [id]);
 
       // Delete venue reports
       await pool.query('DELETE FROM venue_reports WHERE venue_id = $1', [id]);
 
-      // Check which table the venue is in
-      const venueCheck = await pool.query(
-        `SELECT 'sports_venues' as table_name, added_by_user_id FROM sports_venues WHERE id = $1
-         UNION ALL
-         SELECT 'football_fields' as table_name, added_by_user_id FROM football_fields WHERE id = $1`,
-        [id]
-      );
-
-      if (venueCheck.rows.length === 0) {
-        return res.status(404).json({ message: 'Venue not found' });
-      }
-
-      const tableName = venueCheck.rows[0].table_name;
-
-      // Delete the venue from the correct table
-      result = await pool.query(
-        `DELETE FROM ${tableName} WHERE id = $1 RETURNING *`,
-        [id]
-      );
+      result = await pool.query('DELETE FROM sports_venues WHERE id = $1 RETURNING *', [id]);
     } else {
       // Regular user can only delete their own venues
-      // Check both tables
-      const venueCheck = await pool.query(
-        `SELECT 'sports_venues' as table_name, added_by_user_id FROM sports_venues WHERE id = $1 AND added_by_user_id = $2
-         UNION ALL
-         SELECT 'football_fields' as table_name, added_by_user_id FROM football_fields WHERE id = $1 AND added_by_user_id = $2`,
-        [id, userId]
-      );
-
-      if (venueCheck.rows.length === 0) {
-        return res.status(404).json({ message: 'Venue not found or access denied' });
-      }
-
-      const tableName = venueCheck.rows[0].table_name;
       result = await pool.query(
-        `DELETE FROM ${tableName} WHERE id = $1 AND added_by_user_id = $2 RETURNING *`,
+        'DELETE FROM sports_venues WHERE id = $1 AND added_by_user_id = $2 RETURNING *',
         [id, userId]
       );
     }
@@ -646,7 +1512,9 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Venue not found or access denied' });
     }
 
-    res.json({ message: isAdmin ? 'Impianto eliminato con successo (Admin)' : 'Field deleted successfully' });
+    await Promise.all(imagesResult.rows.map(removeImageFiles));
+
+    res.json({ message: canManageAny ? 'Impianto eliminato con successo (Admin)' : 'Field deleted successfully' });
 
   } catch (error) {
     console.error('Error deleting field:', error);
@@ -655,8 +1523,8 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Report a venue
-router.post('/:id/report', auth, [
-  body('report_type').isIn(['non_esiste', 'info_errate', 'altro']).withMessage('Tipo di segnalazione non valido'),
+router.post('/:id/report', auth, requireVerified, rateLimit('reports'), [
+  body('report_type').isIn(REPORT_TYPES).withMessage('Tipo di segnalazione non valido'),
   body('description').optional().isLength({ min: 10, max: 500 }).withMessage('Descrizione deve essere tra 10 e 500 caratteri')
 ], async (req, res) => {
   try {
@@ -701,6 +1569,11 @@ router.post('/:id/report', auth, [
       [id, userId, report_type, description]
     );
 
+    const venueHidden = report_type === 'non_esiste' ? await hideVenueIfReportedMissing(id) : false;
+    if (venueHidden) {
+      console.log('Venue hidden after repeated non_esiste reports:', field.name);
+    }
+
     // Send email notification
     const emailData = {
       fieldName: field.name,
@@ -721,7 +1594,8 @@ router.post('/:id/report', auth, [
 
     res.status(201).json({ 
       message: 'Segnalazione inviata con successo',
-      report: result.rows[0]
+      report: result.rows[0],
+      venue_hidden: venueHidden
     });
 
   } catch (error) {
@@ -732,28 +1606,24 @@ router.post('/:id/report', auth, [
 
 
 
-// Get venue reports (admin or venue owner)
+// Get venue reports (moderators or venue owner)
 router.get('/:id/reports', auth, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
 
-    // Check if user is admin
-    const userResult = await pool.query('SELECT is_admin FROM users WHERE id = $1', [userId]);
-    const isAdmin = userResult.rows[0]?.is_admin || false;
+    // Venue owner, or a role allowed to moderate content
+    const canModerate = hasPermission(req.user, 'content.moderate');
 
     // Check if venue exists
-    const fieldResult = await pool.query(
-      `SELECT added_by_user_id, 'sports_venues' as source_table FROM sports_venues WHERE id = $1`,
-      [id]
-    );
+    const fieldResult = await pool.query('SELECT added_by_user_id FROM sports_venues WHERE id = $1', [id]);
 
     if (fieldResult.rows.length === 0) {
       return res.status(404).json({ message: 'Venue not found' });
     }
 
-    // Only venue owner or admin can see reports
-    if (fieldResult.rows[0].added_by_user_id !== userId && !isAdmin) {
+    // Only venue owner or moderators can see reports
+    if (fieldResult.rows[0].added_by_user_id !== userId && !canModerate) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -774,36 +1644,346 @@ router.get('/:id/reports', auth, async (req, res) => {
   }
 });
 
-// Get all venue reports (admin only)
-router.get('/reports/all', auth, adminAuth, async (req, res) => {
+// Get venues hidden from the map (moderators and admins)
+router.get('/moderation/hidden', auth, requirePermission('content.moderate'), async (req, res) => {
   try {
-    const reports = await pool.query(
-      `SELECT fr.*, u.username as reporter_username, f.name as venue_name, f.city, f.province
-       FROM venue_reports fr 
-       LEFT JOIN users u ON fr.reported_by_user_id = u.id 
-       LEFT JOIN sports_venues f ON fr.venue_id = f.id
-       ORDER BY fr.created_at DESC`
-    );
+    const result = await pool.query(`
+      SELECT f.id, f.name, f.city, f.province, f.sport_type, f.added_by_user_id, f.hidden_at,
+             u.username as added_by_username,
+             ${NON_EXISTENT_REPORTS_SQL} as non_esiste_reports
+      FROM sports_venues f
+      LEFT JOIN users u ON f.added_by_user_id = u.id
+      WHERE f.is_hidden = true
+      ORDER BY f.hidden_at DESC
+    `);
 
-    res.json(reports.rows);
+    res.json(result.rows);
 
   } catch (error) {
-    console.error('Error getting all reports:', error);
+    console.error('Error getting hidden venues:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get hidden images (moderators and admins)
+router.get('/moderation/hidden-images', auth, requirePermission('content.moderate'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT fi.*, f.name as venue_name, u.username as uploaded_by_username,
+             m.username as hidden_by_username
+      FROM field_images fi
+      JOIN sports_venues f ON fi.field_id = f.id
+      LEFT JOIN users u ON fi.uploaded_by = u.id
+      LEFT JOIN users m ON fi.hidden_by_user_id = m.id
+      WHERE fi.is_hidden = true
+      ORDER BY fi.hidden_at DESC
+    `);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error getting hidden images:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Review the visibility of a venue (moderators and admins)
+// Restoring a venue starts a new count: only non_esiste reports filed afterwards can hide it again
+router.put('/:id/visibility', auth, requirePermission('content.moderate'), [
+  body('hidden').isBoolean().withMessage('hidden deve essere un booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const hidden = req.body.hidden === true || req.body.hidden === 'true';
+
+    const result = await pool.query(`
+      UPDATE sports_venues SET
+        is_hidden = $1,
+        hidden_at = CASE WHEN $1 THEN COALESCE(hidden_at, CURRENT_TIMESTAMP) ELSE NULL END,
+        visibility_reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, name, is_hidden, hidden_at, visibility_reviewed_at
+    `, [hidden, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    res.json({
+      message: hidden ? 'Impianto nascosto' : 'Impianto di nuovo visibile',
+      field: result.rows[0]
+    });
 
+  } catch (error) {
+    console.error('Error updating venue visibility:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-// Temporary endpoint to delete all fields (no auth required)
-router.post('/delete-all-fields', async (req, res) => {
+// Merge a duplicate venue into another one (admin only)
+// Images, reports, booking slots, events, reviews, stars and list entries move to the target venue, then the duplicate is deleted
+router.post('/:id/merge', auth, requirePermission('venues.merge'), [
+  body('target_id').isInt({ min: 1 }).withMessage('Impianto di destinazione non valido')
+], async (req, res) => {
   try {
-    // Delete all fields from sports_venues table
-    await pool.query('DELETE FROM sports_venues');
-    
-    res.json({ message: 'All fields deleted successfully' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sourceId = parseInt(req.params.id, 10);
+    const targetId = parseInt(req.body.target_id, 10);
+
+    if (sourceId === targetId) {
+      return res.status(400).json({ message: 'Non puoi unire un impianto con se stesso' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const venues = await client.query(
+        'SELECT id FROM sports_venues WHERE id = ANY($1::int[]) FOR UPDATE',
+        [[sourceId, targetId]]
+      );
+      if (venues.rows.length !== 2) {
+        return null;
+      }
+
+      // The target keeps its primary image if it has one
+      const targetPrimary = await client.query(
+        'SELECT 1 FROM field_images WHERE field_id = $1 AND is_primary = true LIMIT 1',
+        [targetId]
+      );
+      // Source images go after the target's own, keeping their relative order
+      const images = await client.query(`
+        UPDATE field_images SET field_id = $1,
+          is_primary = CASE WHEN $3 THEN false ELSE is_primary END,
+          sort_order = sort_order + (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM field_images WHERE field_id = $1)
+        WHERE field_id = $2
+        RETURNING id
+      `, [targetId, sourceId, targetPrimary.rows.length > 0]);
+
+      const reports = await client.query(
+        'UPDATE venue_reports SET venue_id = $1, updated_at = CURRENT_TIMESTAMP WHERE venue_id = $2 RETURNING id',
+        [targetId, sourceId]
+      );
+
+      const slots = await client.query(
+        'UPDATE booking_slots SET venue_id = $1 WHERE venue_id = $2 RETURNING id',
+        [targetId, sourceId]
+      );
+
+      const events = await client.query(
+        'UPDATE events SET venue_id = $1, updated_at = CURRENT_TIMESTAMP WHERE venue_id = $2 RETURNING id',
+        [targetId, sourceId]
+      );
+
+      // A user who reviewed both venues keeps the review of the target
+      const reviews = await client.query(`
+        UPDATE venue_reviews SET venue_id = $1
+        WHERE venue_id = $2 AND user_id NOT IN (SELECT user_id FROM venue_reviews WHERE venue_id = $1)
+        RETURNING id
+      `, [targetId, sourceId]);
+
+      // Stars and list entries are copied over; the source rows go away with the venue
+      await client.query(`
+        INSERT INTO favorite_venues (user_id, venue_id, created_at)
+        SELECT user_id, $1, created_at FROM favorite_venues WHERE venue_id = $2
+        ON CONFLICT DO NOTHING
+      `, [targetId, sourceId]);
+      await client.query(`
+        INSERT INTO venue_list_items (list_id, venue_id, added_at)
+        SELECT list_id, $1, added_at FROM venue_list_items WHERE venue_id = $2
+        ON CONFLICT DO NOTHING
+      `, [targetId, sourceId]);
+
+      await client.query('DELETE FROM sports_venues WHERE id = $1', [sourceId]);
+
+      const target = await client.query('SELECT * FROM sports_venues WHERE id = $1', [targetId]);
+
+      return {
+        field: target.rows[0],
+        moved_images: images.rows.length,
+        moved_reports: reports.rows.length,
+        moved_booking_slots: slots.rows.length,
+        moved_events: events.rows.length,
+        moved_reviews: reviews.rows.length
+      };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    res.json({ message: 'Impianti uniti con successo', ...outcome });
+
+  } catch (error) {
+    console.error('Error merging venues:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get all venue reports (moderators and admins)
+// Optional filters: status, report_type, venue_id; page/limit returns { reports, pagination }
+router.get('/reports/all', auth, requirePermission('content.moderate'), async (req, res) => {
+  try {
+    const { status, report_type, venue_id } = req.query;
+
+    if (status && !REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Stato non valido' });
+    }
+
+    if (report_type && !REPORT_TYPES.includes(report_type)) {
+      return res.status(400).json({ message: 'Tipo di segnalazione non valido' });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination && pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    let where = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (status) {
+      where += ` AND fr.status = $${paramIndex}`;
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (report_type) {
+      where += ` AND fr.report_type = $${paramIndex}`;
+      params.push(report_type);
+      paramIndex++;
+    }
+
+    if (venue_id) {
+      where += ` AND fr.venue_id = $${paramIndex}`;
+      params.push(venue_id);
+      paramIndex++;
+    }
+
+    let query = `
+      SELECT fr.*, u.username as reporter_username, r.username as resolved_by_username,
+             f.name as venue_name, f.city, f.province
+      FROM venue_reports fr 
+      LEFT JOIN users u ON fr.reported_by_user_id = u.id 
+      LEFT JOIN users r ON fr.resolved_by_user_id = r.id
+      LEFT JOIN sports_venues f ON fr.venue_id = f.id
+      ${where}
+      ORDER BY fr.created_at DESC
+    `;
+
+    if (!pagination) {
+      const reports = await pool.query(query, params);
+      return res.json(reports.rows);
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) as total FROM venue_reports fr ${where}`, params);
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    const reports = await pool.query(query, [...params, pagination.limit, pagination.offset]);
+
+    res.json({
+      reports: reports.rows,
+      pagination: buildPaginationMeta(pagination, total)
+    });
+
+  } catch (error) {
+    console.error('Error getting all reports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a report through its workflow (moderators and admins)
+// pending -> in_review -> resolved/rejected; closing a report requires a resolution note
+router.put('/reports/:reportId/status', auth, requirePermission('content.moderate'), [
+  param('reportId').isInt({ min: 1 }).withMessage('Segnalazione non valida'),
+  body('status').isIn(REPORT_STATUSES).withMessage('Stato non valido'),
+  body('resolution_note').optional({ nullable: true }).trim().isLength({ max: 1000 })
+    .withMessage('La nota non può superare i 1000 caratteri')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reportId } = req.params;
+    const { status, resolution_note } = req.body;
+    const userId = req.user.userId;
+
+    const reportResult = await pool.query(
+      `SELECT fr.*, u.username as reporter_username, u.email as reporter_email, f.name as venue_name
+       FROM venue_reports fr
+       LEFT JOIN users u ON fr.reported_by_user_id = u.id
+       LEFT JOIN sports_venues f ON fr.venue_id = f.id
+       WHERE fr.id = $1`,
+      [reportId]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Segnalazione non trovata' });
+    }
+
+    const report = reportResult.rows[0];
+
+    if (!(REPORT_TRANSITIONS[report.status] || []).includes(status)) {
+      return res.status(409).json({
+        message: `Transizione non consentita: ${report.status} -> ${status}`
+      });
+    }
+
+    const isClosing = REPORT_CLOSED_STATUSES.includes(status);
+    if (isClosing && !resolution_note) {
+      return res.status(400).json({ message: 'Una nota di risoluzione è obbligatoria' });
+    }
+
+    // Only applies if nobody changed the status since it was read
+    const result = await pool.query(`
+      UPDATE venue_reports SET
+        status = $1,
+        resolution_note = COALESCE($2, resolution_note),
+        resolved_by_user_id = $3,
+        resolved_at = $4,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5 AND status = $6
+      RETURNING *
+    `, [status, resolution_note || null, isClosing ? userId : null, isClosing ? new Date() : null, reportId, report.status]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'La segnalazione è stata aggiornata da un altro moderatore, ricarica e riprova' });
+    }
+
+    if (status === 'resolved' && report.reporter_email) {
+      try {
+        await sendReportResolvedEmail({
+          to: report.reporter_email,
+          reporterUsername: report.reporter_username,
+          fieldName: report.venue_name,
+          reportType: report.report_type,
+          resolutionNote: resolution_note,
+          resolvedDate: new Date().toLocaleString('it-IT')
+        });
+        console.log('Report resolution email sent to:', report.reporter_username);
+      } catch (emailError) {
+        console.error('Error sending report resolution email:', emailError);
+        // Don't fail the request if email fails
+      }
+    }
+
+    res.json({
+      message: 'Stato della segnalazione aggiornato',
+      report: result.rows[0]
+    });
+
   } catch (error) {
-    console.error('Error deleting fields:', error);
+    console.error('Error updating report status:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -0,0 +1,325 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+// Relationship status of the current user towards another user
+const RELATIONSHIP_STATUS_SQL = `
+  CASE
+    WHEN fs.status = 'accepted' THEN 'friends'
+    WHEN fs.status = 'pending' AND fs.requester_id = $1 THEN 'request_sent'
+    WHEN fs.status = 'pending' AND fs.addressee_id = $1 THEN 'request_received'
+    ELSE 'not_friends'
+  END
+`;
+
+const requestIdParam = param('id').isInt({ min: 1 }).withMessage('Richiesta non valida');
+
+// Get friends of the current user
+router.get('/', auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const result = await pool.query(`
+      SELECT u.id, u.username, u.email, u.created_at, fs.updated_at as friends_since
+      FROM friendships fs
+      JOIN users u ON u.id = CASE WHEN fs.requester_id = $1 THEN fs.addressee_id ELSE fs.requester_id END
+      WHERE (fs.requester_id = $1 OR fs.addressee_id = $1) AND fs.status = 'accepted'
+      ORDER BY u.username ASC
+    `, [userId]);
+
+    res.json({ success: true, friends: result.rows });
+
+  } catch (error) {
+    console.error('Error fetching friends:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Search users by username (excludes the current user)
+router.get('/search', auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const q = (req.query.q || '').trim();
+
+    if (q.length < 2) {
+      return res.status(400).json({ success: false, message: 'Inserisci almeno 2 caratteri per la ricerca' });
+    }
+
+    const result = await pool.query(`
+      SELECT u.id, u.username, u.created_at,
+             ${RELATIONSHIP_STATUS_SQL} as relationship_status
+      FROM users u
+      LEFT JOIN friendships fs
+        ON (fs.requester_id = $1 AND fs.addressee_id = u.id)
+        OR (fs.addressee_id = $1 AND fs.requester_id = u.id)
+      WHERE u.id <> $1 AND u.username ILIKE $2
+      ORDER BY u.username ASC
+      LIMIT 20
+    `, [userId, `%${q}%`]);
+
+    res.json({ success: true, users: result.rows });
+
+  } catch (error) {
+    console.error('Error searching users:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get relationship status with a given user
+router.get('/status/:userId', auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const otherUserId = parseInt(req.params.userId, 10);
+
+    if (Number.isNaN(otherUserId)) {
+      return res.status(400).json({ success: false, message: 'Utente non valido' });
+    }
+
+    const result = await pool.query(`
+      SELECT ${RELATIONSHIP_STATUS_SQL} as relationship_status
+      FROM (SELECT 1) AS single_row
+      LEFT JOIN friendships fs
+        ON (fs.requester_id = $1 AND fs.addressee_id = $2)
+        OR (fs.addressee_id = $1 AND fs.requester_id = $2)
+    `, [userId, otherUserId]);
+
+    res.json({ success: true, relationship_status: result.rows[0].relationship_status });
+
+  } catch (error) {
+    console.error('Error fetching relationship status:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Send a friend request
+router.post('/request', auth, [
+  body('to_user_id').isInt({ min: 1 }).withMessage('Utente non valido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const toUserId = parseInt(req.body.to_user_id, 10);
+
+    if (toUserId === userId) {
+      return res.status(400).json({ success: false, message: 'Non puoi inviare una richiesta a te stesso' });
+    }
+
+    const userResult = await pool.query('SELECT id FROM users WHERE id = $1', [toUserId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const existing = await pool.query(`
+      SELECT * FROM friendships
+      WHERE (requester_id = $1 AND addressee_id = $2) OR (requester_id = $2 AND addressee_id = $1)
+    `, [userId, toUserId]);
+
+    if (existing.rows.length > 0) {
+      const friendship = existing.rows[0];
+
+      if (friendship.status === 'accepted') {
+        return res.status(400).json({ success: false, message: 'Siete già amici' });
+      }
+
+      if (friendship.requester_id === userId) {
+        return res.status(400).json({ success: false, message: 'Richiesta di amicizia già inviata' });
+      }
+
+      // The other user already asked us: sending a request back accepts it
+      const accepted = await pool.query(`
+        UPDATE friendships SET status = 'accepted', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [friendship.id]);
+
+      return res.json({
+        success: true,
+        message: 'Richiesta di amicizia accettata',
+        friendship: accepted.rows[0]
+      });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO friendships (requester_id, addressee_id) VALUES ($1, $2) RETURNING *',
+      [userId, toUserId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Richiesta di amicizia inviata',
+      friendship: result.rows[0]
+    });
+
+  } catch (error) {
+    // Two users asking each other at the same time: the pair index lets only one request through
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'Esiste già una richiesta di amicizia tra voi, ricarica e riprova' });
+    }
+    console.error('Error sending friend request:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get incoming pending friend requests
+router.get('/requests', auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const result = await pool.query(`
+      SELECT fs.id, fs.requester_id as user_id, u.username, fs.created_at
+      FROM friendships fs
+      JOIN users u ON u.id = fs.requester_id
+      WHERE fs.addressee_id = $1 AND fs.status = 'pending'
+      ORDER BY fs.created_at DESC
+    `, [userId]);
+
+    res.json({ success: true, requests: result.rows });
+
+  } catch (error) {
+    console.error('Error fetching friend requests:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get outgoing pending friend requests
+router.get('/requests/sent', auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const result = await pool.query(`
+      SELECT fs.id, fs.addressee_id as user_id, u.username, fs.created_at
+      FROM friendships fs
+      JOIN users u ON u.id = fs.addressee_id
+      WHERE fs.requester_id = $1 AND fs.status = 'pending'
+      ORDER BY fs.created_at DESC
+    `, [userId]);
+
+    res.json({ success: true, requests: result.rows });
+
+  } catch (error) {
+    console.error('Error fetching sent friend requests:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Accept an incoming friend request
+router.post('/requests/:id/accept', auth, [requestIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+
+    const result = await pool.query(`
+      UPDATE friendships SET status = 'accepted', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND addressee_id = $2 AND status = 'pending'
+      RETURNING *
+    `, [req.params.id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Richiesta non trovata' });
+    }
+
+    res.json({ success: true, message: 'Richiesta di amicizia accettata', friendship: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error accepting friend request:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Decline an incoming friend request
+router.post('/requests/:id/decline', auth, [requestIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+
+    const result = await pool.query(`
+      DELETE FROM friendships
+      WHERE id = $1 AND addressee_id = $2 AND status = 'pending'
+      RETURNING id
+    `, [req.params.id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Richiesta non trovata' });
+    }
+
+    res.json({ success: true, message: 'Richiesta di amicizia rifiutata' });
+
+  } catch (error) {
+    console.error('Error declining friend request:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Cancel an outgoing friend request
+router.delete('/requests/:id', auth, [requestIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+
+    const result = await pool.query(`
+      DELETE FROM friendships
+      WHERE id = $1 AND requester_id = $2 AND status = 'pending'
+      RETURNING id
+    `, [req.params.id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Richiesta non trovata' });
+    }
+
+    res.json({ success: true, message: 'Richiesta di amicizia annullata' });
+
+  } catch (error) {
+    console.error('Error cancelling friend request:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Remove a friend
+router.delete('/:friendId', auth, [param('friendId').isInt({ min: 1 }).withMessage('Utente non valido')], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+
+    const result = await pool.query(`
+      DELETE FROM friendships
+      WHERE status = 'accepted'
+        AND ((requester_id = $1 AND addressee_id = $2) OR (requester_id = $2 AND addressee_id = $1))
+      RETURNING id
+    `, [userId, req.params.friendId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Amicizia non trovata' });
+    }
+
+    res.json({ success: true, message: 'Amico rimosso' });
+
+  } catch (error) {
+    console.error('Error removing friend:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
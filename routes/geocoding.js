@@ -1,6 +1,15 @@
 const express = require('express');
+const { geocoder } = require('../utils/geocoding');
 const router = express.Router();
 
+const MAX_SEARCH_RESULTS = 10;
+
+const geocodingFailure = (res, error, message) => (
+  error.code === 'GEOCODING_BUSY'
+    ? res.status(503).json({ error: 'Servizio di geocoding occupato, riprova tra poco' })
+    : res.status(502).json({ error: message })
+);
+
 // Reverse geocoding endpoint
 router.get('/reverse', async (req, res) => {
   try {
@@ -10,46 +19,52 @@ router.get('/reverse', async (req, res) => {
       return res.status(400).json({ error: 'Latitude and longitude are required' });
     }
 
-    // Use Nominatim API with proper headers
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&addressdetails=1&accept-language=it`,
-      {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'CalcioMapper/1.0 (https://calcio-mapper.vercel.app)'
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return res.status(400).json({ error: 'Invalid latitude or longitude' });
     }
 
-    const data = await response.json();
+    const place = await geocoder.reverse(latitude, longitude);
     
-    if (data && data.address) {
-      const address = data.address;
-      
-      // Extract street address (house number + road)
-      const houseNumber = address.house_number || '';
-      const road = address.road || '';
-      const streetAddress = houseNumber && road ? `${houseNumber}, ${road}` : road || address.street || '';
-      
-      const result = {
-        address: streetAddress,
-        city: address.city || address.town || address.village || address.municipality || '',
-        province: address.county || address.province || '',
-        region: address.state || address.region || ''
-      };
-      
-      res.json(result);
+    if (place) {
+      res.json({
+        address: place.address,
+        city: place.city,
+        province: place.province,
+        region: place.region
+      });
     } else {
       res.json(null);
     }
   } catch (error) {
     console.error('Reverse geocoding error:', error);
-    res.status(500).json({ error: 'Failed to get address from coordinates' });
+    geocodingFailure(res, error, 'Failed to get address from coordinates');
+  }
+});
+
+// Forward geocoding: addresses and place names, Italian results first
+// Query: q (at least 3 characters), limit (1-10, default 5)
+router.get('/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit, 10);
+
+    if (q.length < 3 || q.length > 200) {
+      return res.status(400).json({ error: 'The query must be between 3 and 200 characters' });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_SEARCH_RESULTS}` });
+    }
+
+    const places = await geocoder.search(q, { limit });
+
+    res.json(places);
+  } catch (error) {
+    console.error('Forward geocoding error:', error);
+    geocodingFailure(res, error, 'Failed to search for the address');
   }
 });
 
@@ -0,0 +1,246 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const requireVerified = require('../middleware/requireVerified');
+const { rateLimit } = require('../utils/rateLimit');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+const RATING_AXES = ['surface_rating', 'cleanliness_rating', 'lighting_rating'];
+const REVIEW_REPORT_REASONS = ['offensivo', 'spam', 'falso', 'altro'];
+
+const venueIdParam = param('venueId').isInt({ min: 1 }).withMessage('Impianto non valido');
+const reviewIdParam = param('reviewId').isInt({ min: 1 }).withMessage('Recensione non valida');
+
+// Get visible reviews of a venue with the per-axis averages
+router.get('/venues/:venueId', [venueIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { venueId } = req.params;
+
+    const venueResult = await pool.query('SELECT id FROM sports_venues WHERE id = $1', [venueId]);
+    if (venueResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const summary = await pool.query(`
+      SELECT ROUND(AVG(overall_rating), 2) as avg_rating,
+             ROUND(AVG(surface_rating), 2) as avg_surface_rating,
+             ROUND(AVG(cleanliness_rating), 2) as avg_cleanliness_rating,
+             ROUND(AVG(lighting_rating), 2) as avg_lighting_rating,
+             COUNT(*)::int as review_count
+      FROM venue_reviews
+      WHERE venue_id = $1 AND is_hidden = false
+    `, [venueId]);
+
+    const reviews = await pool.query(`
+      SELECT r.id, r.user_id, u.username, r.surface_rating, r.cleanliness_rating, r.lighting_rating,
+             r.overall_rating, r.comment, r.created_at, r.updated_at
+      FROM venue_reviews r
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.venue_id = $1 AND r.is_hidden = false
+      ORDER BY r.updated_at DESC
+    `, [venueId]);
+
+    res.json({ ...summary.rows[0], reviews: reviews.rows });
+
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create or update the current user's review of a venue (one per user per venue)
+router.put('/venues/:venueId', auth, [
+  venueIdParam,
+  ...RATING_AXES.map((axis) => body(axis).optional({ nullable: true }).isInt({ min: 1, max: 5 })
+    .withMessage('Le valutazioni devono essere tra 1 e 5')),
+  body('comment').optional({ nullable: true }).trim().isLength({ max: 2000 })
+    .withMessage('La recensione non può superare i 2000 caratteri').escape()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { venueId } = req.params;
+    const userId = req.user.userId;
+
+    const ratings = RATING_AXES.map((axis) => (
+      req.body[axis] === undefined || req.body[axis] === null ? null : parseInt(req.body[axis], 10)
+    ));
+    const given = ratings.filter((rating) => rating !== null);
+
+    if (given.length === 0) {
+      return res.status(400).json({ message: 'Inserisci almeno una valutazione' });
+    }
+
+    const overall = given.reduce((sum, rating) => sum + rating, 0) / given.length;
+
+    const venueResult = await pool.query('SELECT id FROM sports_venues WHERE id = $1', [venueId]);
+    if (venueResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO venue_reviews (
+        venue_id, user_id, surface_rating, cleanliness_rating, lighting_rating, overall_rating, comment
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (venue_id, user_id) DO UPDATE SET
+        surface_rating = EXCLUDED.surface_rating,
+        cleanliness_rating = EXCLUDED.cleanliness_rating,
+        lighting_rating = EXCLUDED.lighting_rating,
+        overall_rating = EXCLUDED.overall_rating,
+        comment = EXCLUDED.comment,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *, (xmax = 0) as created
+    `, [venueId, userId, ...ratings, overall.toFixed(2), req.body.comment || null]);
+
+    const { created, ...review } = result.rows[0];
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Recensione pubblicata' : 'Recensione aggiornata',
+      review
+    });
+
+  } catch (error) {
+    console.error('Error saving review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete the current user's review of a venue
+router.delete('/venues/:venueId', auth, [venueIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM venue_reviews WHERE venue_id = $1 AND user_id = $2 RETURNING id',
+      [req.params.venueId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Recensione non trovata' });
+    }
+
+    res.json({ message: 'Recensione eliminata' });
+
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get reported reviews (moderators and admins), pending reports first
+router.get('/reports/all', auth, requirePermission('content.moderate'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT rr.*, u.username as reporter_username,
+             r.venue_id, r.comment, r.overall_rating, r.is_hidden, a.username as author_username,
+             f.name as venue_name
+      FROM review_reports rr
+      JOIN venue_reviews r ON rr.review_id = r.id
+      LEFT JOIN users u ON rr.reported_by_user_id = u.id
+      LEFT JOIN users a ON r.user_id = a.id
+      LEFT JOIN sports_venues f ON r.venue_id = f.id
+      ORDER BY (rr.status = 'pending') DESC, rr.created_at DESC
+    `);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error getting review reports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Report a review to the moderators
+router.post('/:reviewId/report', auth, requireVerified, rateLimit('reports'), [
+  reviewIdParam,
+  body('reason').isIn(REVIEW_REPORT_REASONS).withMessage('Motivo della segnalazione non valido'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Descrizione troppo lunga')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reviewId } = req.params;
+    const userId = req.user.userId;
+
+    const reviewResult = await pool.query('SELECT id, user_id FROM venue_reviews WHERE id = $1', [reviewId]);
+    if (reviewResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Recensione non trovata' });
+    }
+
+    if (reviewResult.rows[0].user_id === userId) {
+      return res.status(400).json({ message: 'Non puoi segnalare la tua recensione' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO review_reports (review_id, reported_by_user_id, reason, description)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (review_id, reported_by_user_id) DO NOTHING
+      RETURNING *
+    `, [reviewId, userId, req.body.reason, req.body.description || null]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Hai già segnalato questa recensione' });
+    }
+
+    res.status(201).json({ message: 'Segnalazione inviata con successo', report: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error reporting review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hide or restore a review and close its reports (moderators and admins)
+router.put('/:reviewId/visibility', auth, requirePermission('content.moderate'), [
+  reviewIdParam,
+  body('hidden').isBoolean().withMessage('hidden deve essere un booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reviewId } = req.params;
+    const hidden = req.body.hidden === true || req.body.hidden === 'true';
+
+    const result = await pool.query(
+      'UPDATE venue_reviews SET is_hidden = $1 WHERE id = $2 RETURNING *',
+      [hidden, reviewId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Recensione non trovata' });
+    }
+
+    await pool.query(
+      "UPDATE review_reports SET status = $1 WHERE review_id = $2 AND status = 'pending'",
+      [hidden ? 'resolved' : 'rejected', reviewId]
+    );
+
+    res.json({ message: hidden ? 'Recensione nascosta' : 'Recensione di nuovo visibile', review: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error updating review visibility:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
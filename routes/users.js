@@ -1,6 +1,9 @@
 const express = require('express');
+const crypto = require('crypto');
+const { body, param, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
 const pool = require('../config/database');
+const { parsePagination, parseSort, parseFieldSelection, buildPaginationMeta } = require('../utils/listing');
 
 const router = express.Router();
 
@@ -10,7 +13,7 @@ router.get('/profile', auth, async (req, res) => {
     const userId = req.user.userId;
     
     const result = await pool.query(
-      'SELECT id, username, email, is_admin, created_at FROM users WHERE id = $1',
+      'SELECT id, username, email, role, email_verified_at, created_at FROM users WHERE id = $1',
       [userId]
     );
 
@@ -18,7 +21,8 @@ router.get('/profile', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json(result.rows[0]);
+    // is_admin is kept for clients written before roles existed
+    res.json({ ...result.rows[0], is_admin: result.rows[0].role === 'admin' });
 
   } catch (error) {
     console.error('Error fetching user profile:', error);
@@ -26,24 +30,69 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
+// Columns selectable through ?fields= on my-fields
+const MY_FIELDS_COLUMNS = [
+  'id', 'name', 'description', 'latitude', 'longitude', 'address', 'city', 'province', 'region',
+  'surface_type', 'venue_type', 'is_public', 'has_lighting', 'has_changing_rooms', 'has_parking',
+  'opening_hours', 'opening_hours_schedule', 'prices', 'price_list', 'min_price', 'max_price', 'added_by_user_id', 'created_at', 'updated_at', 'sport_type',
+  'is_hidden', 'hidden_at'
+];
+
+const MY_FIELDS_SORTS = {
+  name: { column: 'name', direction: 'asc' },
+  created_at: { column: 'created_at', direction: 'desc' },
+  updated_at: { column: 'updated_at', direction: 'desc' }
+};
+
 // Get fields added by user (requires authentication)
+// Optional: sort/order, fields=a,b,c and page/limit ({ fields, pagination } envelope when paginated)
 router.get('/my-fields', auth, async (req, res) => {
   try {
     const userId = req.user.userId;
-    
+
+    const pagination = parsePagination(req.query);
+    if (pagination && pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const sort = parseSort(req.query, MY_FIELDS_SORTS, 'created_at');
+    if (sort.error) {
+      return res.status(400).json({ message: sort.error });
+    }
+
+    const selection = parseFieldSelection(req.query, MY_FIELDS_COLUMNS);
+    if (selection && selection.error) {
+      return res.status(400).json({ message: selection.error });
+    }
+
+    const columns = selection ? selection.keys : MY_FIELDS_COLUMNS;
+
     // Query sports_venues table to get all fields added by the user
-    const result = await pool.query(`
-      SELECT 
-        id, name, description, latitude, longitude, address, city, province, region,
-        surface_type, venue_type, is_public, has_lighting, has_changing_rooms, has_parking,
-        opening_hours, prices, added_by_user_id, created_at, updated_at,
-        sport_type, 'sports_venues' as source_table
+    let query = `
+      SELECT ${columns.join(', ')}
       FROM sports_venues 
       WHERE added_by_user_id = $1
-      ORDER BY created_at DESC
-    `, [userId]);
+      ORDER BY ${sort.column} ${sort.direction}, id DESC
+    `;
 
-    res.json(result.rows);
+    if (!pagination) {
+      const result = await pool.query(query, [userId]);
+      return res.json(result.rows);
+    }
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as total FROM sports_venues WHERE added_by_user_id = $1',
+      [userId]
+    );
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    query += ' LIMIT $2 OFFSET $3';
+    const result = await pool.query(query, [userId, pagination.limit, pagination.offset]);
+
+    res.json({
+      fields: result.rows,
+      pagination: buildPaginationMeta(pagination, total)
+    });
 
   } catch (error) {
     console.error('Error fetching user fields:', error);
@@ -51,4 +100,338 @@ router.get('/my-fields', auth, async (req, res) => {
   }
 });
 
+// Get bookings of the current user (requires authentication)
+// Upcoming confirmed bookings by default; ?include_past=true also lists past and cancelled ones
+router.get('/my-bookings', auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const includePast = req.query.include_past === 'true';
+
+    const result = await pool.query(`
+      SELECT b.id, b.status, b.created_at, b.cancelled_at,
+             s.id as slot_id, s.starts_at, s.ends_at, s.price,
+             f.id as venue_id, f.name as venue_name, f.address, f.city, f.sport_type
+      FROM bookings b
+      JOIN booking_slots s ON b.slot_id = s.id
+      JOIN sports_venues f ON s.venue_id = f.id
+      WHERE b.user_id = $1
+        AND ($2 OR (b.status = 'confirmed' AND s.ends_at > CURRENT_TIMESTAMP))
+      ORDER BY s.starts_at ${includePast ? 'DESC' : 'ASC'}
+    `, [userId, includePast]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error fetching user bookings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Venue columns shown in favourites and saved lists
+const SAVED_VENUE_COLUMNS = `
+  f.id, f.name, f.latitude, f.longitude, f.address, f.city, f.province, f.region, f.sport_type,
+  (SELECT COALESCE(fi.thumbnail_url, fi.image_url) FROM field_images fi
+   WHERE fi.field_id = f.id AND fi.is_primary = true AND fi.is_hidden = false LIMIT 1) as primary_image_url
+`;
+
+const LIST_VISIBILITIES = ['private', 'link'];
+
+const newShareToken = () => crypto.randomBytes(16).toString('hex');
+
+// The list when it belongs to the user, otherwise null
+const findOwnList = async (listId, userId) => {
+  const result = await pool.query('SELECT * FROM venue_lists WHERE id = $1 AND user_id = $2', [listId, userId]);
+  return result.rows[0] || null;
+};
+
+const listItems = async (listId) => {
+  const result = await pool.query(`
+    SELECT ${SAVED_VENUE_COLUMNS}, li.added_at
+    FROM venue_list_items li
+    JOIN sports_venues f ON li.venue_id = f.id
+    WHERE li.list_id = $1 AND f.is_hidden = false
+    ORDER BY li.added_at DESC
+  `, [listId]);
+  return result.rows;
+};
+
+const listIdParam = param('listId').isInt({ min: 1 }).withMessage('Lista non valida');
+const venueIdParam = param('venueId').isInt({ min: 1 }).withMessage('Impianto non valido');
+
+// Get starred venues of the current user
+router.get('/favorites', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${SAVED_VENUE_COLUMNS}, fv.created_at as starred_at
+      FROM favorite_venues fv
+      JOIN sports_venues f ON fv.venue_id = f.id
+      WHERE fv.user_id = $1 AND f.is_hidden = false
+      ORDER BY fv.created_at DESC
+    `, [req.user.userId]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error fetching favorites:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Star a venue
+router.post('/favorites/:venueId', auth, [venueIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venueResult = await pool.query('SELECT id FROM sports_venues WHERE id = $1 AND is_hidden = false', [req.params.venueId]);
+    if (venueResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    await pool.query(
+      'INSERT INTO favorite_venues (user_id, venue_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.userId, req.params.venueId]
+    );
+
+    res.status(201).json({ message: 'Impianto aggiunto ai preferiti', is_favorite: true });
+
+  } catch (error) {
+    console.error('Error adding favorite:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unstar a venue
+router.delete('/favorites/:venueId', auth, [venueIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await pool.query(
+      'DELETE FROM favorite_venues WHERE user_id = $1 AND venue_id = $2',
+      [req.user.userId, req.params.venueId]
+    );
+
+    res.json({ message: 'Impianto rimosso dai preferiti', is_favorite: false });
+
+  } catch (error) {
+    console.error('Error removing favorite:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get saved venue lists of the current user
+router.get('/lists', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT l.*, (SELECT COUNT(*) FROM venue_list_items li WHERE li.list_id = l.id)::int as venue_count
+      FROM venue_lists l
+      WHERE l.user_id = $1
+      ORDER BY l.updated_at DESC
+    `, [req.user.userId]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Error fetching lists:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a saved venue list
+router.post('/lists', auth, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Il nome deve avere tra 1 e 100 caratteri').escape(),
+  body('visibility').optional().isIn(LIST_VISIBILITIES).withMessage('Visibilità non valida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO venue_lists (user_id, name, visibility, share_token)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [req.user.userId, req.body.name, req.body.visibility || 'private', newShareToken()]);
+
+    res.status(201).json({ message: 'Lista creata', list: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error creating list:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one of the current user's lists with its venues
+router.get('/lists/:listId', auth, [listIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req.params.listId, req.user.userId);
+    if (!list) {
+      return res.status(404).json({ message: 'Lista non trovata' });
+    }
+
+    res.json({ ...list, venues: await listItems(list.id) });
+
+  } catch (error) {
+    console.error('Error fetching list:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a list, change its visibility or revoke its share link (regenerate_link=true)
+router.put('/lists/:listId', auth, [
+  listIdParam,
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Il nome deve avere tra 1 e 100 caratteri').escape(),
+  body('visibility').optional().isIn(LIST_VISIBILITIES).withMessage('Visibilità non valida'),
+  body('regenerate_link').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req.params.listId, req.user.userId);
+    if (!list) {
+      return res.status(404).json({ message: 'Lista non trovata' });
+    }
+
+    const regenerate = req.body.regenerate_link === true || req.body.regenerate_link === 'true';
+
+    const result = await pool.query(`
+      UPDATE venue_lists SET name = $1, visibility = $2, share_token = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [
+      req.body.name || list.name,
+      req.body.visibility || list.visibility,
+      regenerate ? newShareToken() : list.share_token,
+      list.id
+    ]);
+
+    res.json({ message: 'Lista aggiornata', list: result.rows[0] });
+
+  } catch (error) {
+    console.error('Error updating list:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a list
+router.delete('/lists/:listId', auth, [listIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM venue_lists WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.listId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Lista non trovata' });
+    }
+
+    res.json({ message: 'Lista eliminata' });
+
+  } catch (error) {
+    console.error('Error deleting list:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a venue to a list
+router.post('/lists/:listId/venues/:venueId', auth, [listIdParam, venueIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req.params.listId, req.user.userId);
+    if (!list) {
+      return res.status(404).json({ message: 'Lista non trovata' });
+    }
+
+    const venueResult = await pool.query('SELECT id FROM sports_venues WHERE id = $1 AND is_hidden = false', [req.params.venueId]);
+    if (venueResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    await pool.query(
+      'INSERT INTO venue_list_items (list_id, venue_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [list.id, req.params.venueId]
+    );
+    await pool.query('UPDATE venue_lists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [list.id]);
+
+    res.status(201).json({ message: 'Impianto aggiunto alla lista' });
+
+  } catch (error) {
+    console.error('Error adding venue to list:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a venue from a list
+router.delete('/lists/:listId/venues/:venueId', auth, [listIdParam, venueIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req.params.listId, req.user.userId);
+    if (!list) {
+      return res.status(404).json({ message: 'Lista non trovata' });
+    }
+
+    await pool.query(
+      'DELETE FROM venue_list_items WHERE list_id = $1 AND venue_id = $2',
+      [list.id, req.params.venueId]
+    );
+    await pool.query('UPDATE venue_lists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [list.id]);
+
+    res.json({ message: 'Impianto rimosso dalla lista' });
+
+  } catch (error) {
+    console.error('Error removing venue from list:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a list shared via link (no authentication)
+router.get('/shared-lists/:shareToken', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT l.id, l.name, l.created_at, l.updated_at, u.username as owner_username
+      FROM venue_lists l
+      JOIN users u ON l.user_id = u.id
+      WHERE l.share_token = $1 AND l.visibility = 'link'
+    `, [req.params.shareToken]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Lista non trovata' });
+    }
+
+    const list = result.rows[0];
+    res.json({ ...list, venues: await listItems(list.id) });
+
+  } catch (error) {
+    console.error('Error fetching shared list:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Schema migrations CLI
+//   node scripts/migrate.js up [version]     apply pending migrations (optionally only up to version)
+//   node scripts/migrate.js down [steps]     roll back the last migration (or the last `steps`)
+//   node scripts/migrate.js status           list migrations and whether they are applied
+//   node scripts/migrate.js baseline <ver>   mark migrations up to <ver> as applied without running them
+//   node scripts/migrate.js create <name>    add an empty up/down pair
+require('dotenv').config();
+
+const { migrationStatus, migrateUp, migrateDown, markApplied, createMigration } = require('../utils/migrations');
+
+const USAGE = 'Usage: node scripts/migrate.js <up [version] | down [steps] | status | baseline <version> | create <name>>';
+
+const main = async () => {
+  const [command, arg] = process.argv.slice(2);
+
+  if (command === 'create') {
+    createMigration(arg).forEach((file) => console.log(`Created ${file}`));
+    return;
+  }
+
+  const pool = require('../config/database');
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(pool, { targetVersion: arg });
+        console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        break;
+      }
+      case 'down': {
+        const steps = arg === undefined ? 1 : parseInt(arg, 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('steps must be a positive integer');
+        }
+        const rolledBack = await migrateDown(pool, { steps });
+        console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+        break;
+      }
+      case 'status': {
+        const { initialized, migrations } = await migrationStatus(pool);
+        if (!initialized) {
+          console.log('No migrations table: the database has never been migrated');
+        }
+        migrations.forEach(({ version, name, applied }) => console.log(`${applied ? '[x]' : '[ ]'} ${version}_${name}`));
+        break;
+      }
+      case 'baseline': {
+        if (!arg) {
+          throw new Error('baseline needs the version the existing database already matches');
+        }
+        const marked = await markApplied(pool, { targetVersion: arg });
+        console.log(`Marked ${marked.length} migration(s) as applied`);
+        break;
+      }
+      default:
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
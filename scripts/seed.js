@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Sample data for development databases: node scripts/seed.js
+// Creates an admin account when SEED_ADMIN_USERNAME, SEED_ADMIN_EMAIL and SEED_ADMIN_PASSWORD are set,
+// and a few sample venues. Safe to run more than once. Run the migrations first.
+require('dotenv').config();
+
+const bcrypt = require('bcryptjs');
+const pool = require('../config/database');
+
+const SAMPLE_VENUES = [
+  ['Campo Comunale San Siro', 'Campo da calcio comunale con erba naturale', 45.4642, 9.1900, 'Milano', 'MI', 'Lombardia', 'football', 'erba naturale', '11vs11'],
+  ['Centro Sportivo Comunale', 'Centro sportivo con campo da calcio', 41.9028, 12.4964, 'Roma', 'RM', 'Lazio', 'football', 'erba sintetica', '11vs11'],
+  ['Piscina Comunale Milano', 'Piscina olimpionica comunale', 45.4642, 9.1900, 'Milano', 'MI', 'Lombardia', 'swimming', 'acqua', 'olimpionica']
+];
+
+const seedAdmin = async () => {
+  const { SEED_ADMIN_USERNAME, SEED_ADMIN_EMAIL, SEED_ADMIN_PASSWORD } = process.env;
+
+  if (!SEED_ADMIN_USERNAME || !SEED_ADMIN_EMAIL || !SEED_ADMIN_PASSWORD) {
+    console.log('SEED_ADMIN_* not set, skipping admin account');
+    return;
+  }
+
+  const passwordHash = await bcrypt.hash(SEED_ADMIN_PASSWORD, 10);
+  await pool.query(`
+    INSERT INTO users (username, email, password_hash, role, email_verified_at)
+    VALUES ($1, $2, $3, 'admin', CURRENT_TIMESTAMP)
+    ON CONFLICT (username) DO UPDATE SET role = 'admin'
+  `, [SEED_ADMIN_USERNAME, SEED_ADMIN_EMAIL, passwordHash]);
+  console.log(`Admin account ${SEED_ADMIN_USERNAME} ready`);
+};
+
+const seedVenues = async () => {
+  let created = 0;
+
+  for (const [name, description, latitude, longitude, city, province, region, sportType, surfaceType, venueType] of SAMPLE_VENUES) {
+    const existing = await pool.query('SELECT 1 FROM sports_venues WHERE name = $1 AND city = $2', [name, city]);
+    if (existing.rows.length > 0) {
+      continue;
+    }
+
+    await pool.query(`
+      INSERT INTO sports_venues (
+        name, description, latitude, longitude, city, province, region, sport_type, surface_type, venue_type,
+        is_public, has_lighting, has_changing_rooms, has_parking
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, true, true, true)
+    `, [name, description, latitude, longitude, city, province, region, sportType, surfaceType, venueType]);
+    created++;
+  }
+
+  console.log(`Created ${created} sample venue(s)`);
+};
+
+const main = async () => {
+  try {
+    await seedAdmin();
+    await seedVenues();
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error('Seeding failed:', error.message);
+  process.exit(1);
+});
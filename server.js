@@ -9,6 +9,13 @@ dotenv.config();
 
 const app = express();
 
+// Behind a proxy (e.g. Vercel) rate limits need the client IP from X-Forwarded-For
+// (TRUST_PROXY=true, a hop count or a list of trusted addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: 'http://localhost:3000',
@@ -16,13 +23,22 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(express.static('public'));
-app.use('/uploads', express.static('uploads'));
+// Uploaded images are only served from disk with the local storage driver (STORAGE_DRIVER=local)
+if ((process.env.STORAGE_DRIVER || 'local').toLowerCase() === 'local') {
+  app.use('/uploads', express.static(process.env.LOCAL_UPLOAD_DIR || 'uploads'));
+}
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const fieldRoutes = require('./routes/fields');
 const userRoutes = require('./routes/users');
 const geocodingRoutes = require('./routes/geocoding');
+const friendRoutes = require('./routes/friends');
+const bookingRoutes = require('./routes/bookings');
+const eventRoutes = require('./routes/events');
+const reviewRoutes = require('./routes/reviews');
+const adminRoutes = require('./routes/admin');
+const { rateLimit } = require('./utils/rateLimit');
 
 // Health check route
 app.get('/', (req, res) => {
@@ -33,7 +49,12 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/fields', fieldRoutes);
 app.use('/api/users', userRoutes);
-app.use('/api/geocoding', geocodingRoutes);
+app.use('/api/geocoding', rateLimit('geocoding'), geocodingRoutes);
+app.use('/api/friends', friendRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Serve React app
 app.get('*', (req, res) => {
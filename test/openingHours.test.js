@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { looksLikeOsmOpeningHours, parseOpeningHours, parseOpenAt } = require('../utils/openingHours');
+
+test('OSM schedules are recognised', () => {
+  [
+    '24/7',
+    'Mo-Fr 08:00-22:00',
+    'Mo-Fr 08:00-22:00; Sa 09:00-13:00,15:00-20:00; Su off',
+    'Mo,We,Fr 18:00-23:00',
+    'Sa-Su closed',
+    '08:00-20:00'
+  ].forEach((text) => {
+    assert.strictEqual(looksLikeOsmOpeningHours(text), true, text);
+    assert.ok(parseOpeningHours(text).schedule, text);
+  });
+});
+
+test('Italian free text is kept as legacy', () => {
+  [
+    'Su prenotazione',
+    'Su richiesta',
+    'Sa e Do chiuso',
+    'Sabato e domenica chiuso',
+    'Lu-Ve 9-18',
+    'Tutti i giorni',
+    '24/7 tranne i festivi'
+  ].forEach((text) => {
+    assert.strictEqual(looksLikeOsmOpeningHours(text), false, text);
+  });
+});
+
+test('parseOpenAt rejects days that do not exist', () => {
+  assert.strictEqual(parseOpenAt('2026-02-31T10:00'), null);
+  assert.strictEqual(parseOpenAt('2026-02-31T10:00:00+01:00'), null);
+  assert.deepStrictEqual(parseOpenAt('2026-10-19T19:30'), { day: 'mo', minute: 19 * 60 + 30 });
+});
@@ -0,0 +1,49 @@
+// Minimal pages served by the API for the links in verification and password reset emails,
+// so the links work without dedicated routes in the frontend
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const loginUrl = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`;
+
+const page = (title, content) => `<!DOCTYPE html>
+<html lang="it">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - Calcio Mapper</title>
+  <style>
+    body { font-family: sans-serif; max-width: 420px; margin: 60px auto; padding: 0 16px; color: #222; }
+    input, button { display: block; width: 100%; box-sizing: border-box; margin: 8px 0; padding: 10px; font-size: 16px; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${content}
+</body>
+</html>`;
+
+// Outcome of a link, with a way back to the app
+const messagePage = (title, message) => page(title, `
+  <p>${escapeHtml(message)}</p>
+  <p><a href="${escapeHtml(loginUrl())}">Vai al login</a></p>`);
+
+// Form posting the new password back to POST /api/auth/reset-password
+const resetPasswordPage = (token, error = null) => page('Reimposta la password', `
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  <form method="post" action="reset-password">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <label for="new_password">Nuova password (almeno 6 caratteri)</label>
+    <input type="password" id="new_password" name="new_password" minlength="6" required autocomplete="new-password">
+    <button type="submit">Salva</button>
+  </form>`);
+
+module.exports = {
+  messagePage,
+  resetPasswordPage
+};
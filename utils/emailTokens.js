@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Signed, expiring tokens mailed to users. The purpose claim keeps a token from being accepted by
+// another flow (or as an access token), and the fingerprints tie it to the account state it was issued for:
+// a verification link dies if the email changes, a reset link once the password has changed.
+const EMAIL_TOKEN_TTL = {
+  verify_email: process.env.VERIFY_EMAIL_TOKEN_TTL || '24h',
+  password_reset: process.env.PASSWORD_RESET_TOKEN_TTL || '1h'
+};
+
+const secret = () => process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET || 'fallback_secret';
+
+const fingerprint = (value) => crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 16);
+
+const signEmailVerificationToken = (user) => jwt.sign(
+  { purpose: 'verify_email', userId: user.id, email: fingerprint(user.email) },
+  secret(),
+  { expiresIn: EMAIL_TOKEN_TTL.verify_email }
+);
+
+const signPasswordResetToken = (user) => jwt.sign(
+  { purpose: 'password_reset', userId: user.id, pwd: fingerprint(user.password_hash) },
+  secret(),
+  { expiresIn: EMAIL_TOKEN_TTL.password_reset }
+);
+
+// Payload of a valid token for the purpose, otherwise null
+const verifyEmailToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, secret());
+    return payload.purpose === purpose ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether a decoded token still matches the user row it was issued for
+const matchesUser = (payload, user) => (payload.purpose === 'verify_email'
+  ? payload.email === fingerprint(user.email)
+  : payload.pwd === fingerprint(user.password_hash));
+
+// Mailed links open the API's own pages (GET /api/auth/verify-email, /api/auth/reset-password);
+// API_PUBLIC_URL is the address the API is reachable at from the user's browser
+const emailLinkUrl = (pathname, token) => (
+  `${process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`}/api/auth${pathname}?token=${encodeURIComponent(token)}`
+);
+
+module.exports = {
+  signEmailVerificationToken,
+  signPasswordResetToken,
+  verifyEmailToken,
+  matchesUser,
+  emailLinkUrl
+};
@@ -0,0 +1,74 @@
+// Geographic helpers for venue queries (plain lat/lng columns, no PostGIS)
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_RADIUS_KM = 200;
+
+// Great-circle distance in km between a venue (alias f) and the point bound to the given placeholders
+const distanceSql = (latParam, lngParam) => `(
+  ${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(f.latitude - ${latParam}::float8) / 2), 2) +
+    COS(RADIANS(${latParam}::float8)) * COS(RADIANS(f.latitude)) *
+    POWER(SIN(RADIANS(f.longitude - ${lngParam}::float8) / 2), 2)
+  ))
+)`;
+
+const isValidLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isValidLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+// Parse lat/lng/radius_km and bbox (minLng,minLat,maxLng,maxLat, as Leaflet's toBBoxString) query params
+const parseGeoQuery = (query) => {
+  const geo = {};
+
+  if (query.lat !== undefined || query.lng !== undefined) {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+
+    if (!isValidLatitude(lat) || !isValidLongitude(lng)) {
+      return { error: 'Parametri lat/lng non validi' };
+    }
+
+    geo.near = { lat, lng, radiusKm: null };
+
+    if (query.radius_km !== undefined) {
+      const radiusKm = parseFloat(query.radius_km);
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        return { error: `radius_km deve essere compreso tra 0 e ${MAX_RADIUS_KM}` };
+      }
+      geo.near.radiusKm = radiusKm;
+    }
+  } else if (query.radius_km !== undefined) {
+    return { error: 'radius_km richiede lat e lng' };
+  }
+
+  if (query.bbox !== undefined) {
+    const parts = String(query.bbox).split(',').map(parseFloat);
+    const [minLng, minLat, maxLng, maxLat] = parts;
+
+    if (parts.length !== 4 || !isValidLongitude(minLng) || !isValidLatitude(minLat) ||
+        !isValidLongitude(maxLng) || !isValidLatitude(maxLat) || minLng > maxLng || minLat > maxLat) {
+      return { error: 'Parametro bbox non valido (minLng,minLat,maxLng,maxLat)' };
+    }
+
+    geo.bbox = { minLng, minLat, maxLng, maxLat };
+  }
+
+  return geo;
+};
+
+// Lat/lng box enclosing a circle, used as an index-friendly prefilter before the exact distance check
+const radiusBounds = ({ lat, lng, radiusKm }) => {
+  const latDelta = radiusKm / 111.32;
+  const lngDelta = radiusKm / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  return {
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta,
+    minLng: lng - lngDelta,
+    maxLng: lng + lngDelta
+  };
+};
+
+module.exports = {
+  distanceSql,
+  parseGeoQuery,
+  radiusBounds
+};
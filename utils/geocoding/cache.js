@@ -0,0 +1,51 @@
+// In-memory LRU with a TTL: a Map keeps insertion order, so re-inserting on read marks an entry as recent
+const createLruCache = ({ maxEntries = 1000, ttlMs = 24 * 60 * 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  return {
+    // undefined on a miss; cached null results ("nothing found") are returned as null
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+};
+
+// Second level shared by every instance and kept across restarts (geocode_cache table)
+const createDbCache = (pool, { ttlMs = 30 * 24 * 60 * 60 * 1000 } = {}) => ({
+  async get(key) {
+    const result = await pool.query(
+      'SELECT result FROM geocode_cache WHERE cache_key = $1 AND created_at > $2',
+      [key, new Date(Date.now() - ttlMs)]
+    );
+    return result.rows.length > 0 ? result.rows[0].result : undefined;
+  },
+
+  async set(key, value) {
+    await pool.query(`
+      INSERT INTO geocode_cache (cache_key, result) VALUES ($1, $2)
+      ON CONFLICT (cache_key) DO UPDATE SET result = EXCLUDED.result, created_at = CURRENT_TIMESTAMP
+    `, [key, JSON.stringify(value)]);
+  }
+});
+
+module.exports = {
+  createLruCache,
+  createDbCache
+};
@@ -0,0 +1,117 @@
+const createNominatimProvider = require('./nominatim');
+const createStubProvider = require('./stub');
+const createRequestQueue = require('./queue');
+const { createLruCache, createDbCache } = require('./cache');
+
+// Geocoding service: cache (memory, then the geocode_cache table) -> providers in order, each behind its
+// own rate-limited queue. A provider that fails or times out falls through to the next one.
+// Every provider implements reverse(lat, lng) -> place | null and search(q, { limit }) -> [place].
+// Optional: minIntervalMs between requests, and persistent: false to keep results out of the shared cache.
+
+// Reverse lookups are cached on coordinates rounded to 4 decimals (about 10 m)
+const COORDINATE_PRECISION = 4;
+
+const PROVIDER_FACTORIES = {
+  nominatim: () => createNominatimProvider({
+    baseUrl: process.env.NOMINATIM_URL,
+    userAgent: process.env.NOMINATIM_USER_AGENT,
+    email: process.env.NOMINATIM_EMAIL,
+    timeoutMs: parseInt(process.env.GEOCODING_TIMEOUT_MS, 10) || 5000
+  }),
+  stub: () => createStubProvider()
+};
+
+const createGeocoder = ({ providers, memoryCache = createLruCache(), dbCache = null }) => {
+  const queued = providers.map((provider) => ({
+    provider,
+    queue: createRequestQueue({ minIntervalMs: provider.minIntervalMs })
+  }));
+
+  // Resolves to { value, cacheable }: only answers of the first provider are cached. A fallback answers
+  // during an outage of the first one and must not outlive it.
+  const fromProviders = async (call) => {
+    let lastError;
+    for (const [index, { provider, queue }] of queued.entries()) {
+      try {
+        const value = await queue.schedule(() => call(provider));
+        return { value, cacheable: index === 0, persistent: index === 0 && provider.persistent !== false };
+      } catch (error) {
+        console.error(`Geocoding provider ${provider.name} failed:`, error.message);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  };
+
+  const cached = async (key, load) => {
+    const inMemory = memoryCache.get(key);
+    if (inMemory !== undefined) {
+      return inMemory;
+    }
+
+    if (dbCache) {
+      try {
+        const stored = await dbCache.get(key);
+        if (stored !== undefined) {
+          memoryCache.set(key, stored);
+          return stored;
+        }
+      } catch (error) {
+        console.error('Geocoding cache read error:', error.message);
+      }
+    }
+
+    const { value, cacheable, persistent } = await load();
+    if (cacheable) {
+      memoryCache.set(key, value);
+    }
+    // Providers that are not a real source (the stub) stay out of the shared table
+    if (dbCache && persistent) {
+      dbCache.set(key, value).catch((error) => console.error('Geocoding cache write error:', error.message));
+    }
+    return value;
+  };
+
+  return {
+    reverse(lat, lng) {
+      const roundedLat = Number(lat).toFixed(COORDINATE_PRECISION);
+      const roundedLng = Number(lng).toFixed(COORDINATE_PRECISION);
+      return cached(`reverse:${roundedLat},${roundedLng}`, () => (
+        fromProviders((provider) => provider.reverse(Number(roundedLat), Number(roundedLng)))
+      ));
+    },
+
+    search(q, { limit = 5 } = {}) {
+      const normalized = q.trim().toLowerCase().replace(/\s+/g, ' ');
+      return cached(`search:${limit}:${normalized}`, () => (
+        fromProviders((provider) => provider.search(normalized, { limit }))
+      ));
+    }
+  };
+};
+
+// Providers come from GEOCODING_PROVIDERS, e.g. "nominatim" (default), "stub" or "nominatim,stub"
+const createDefaultGeocoder = () => {
+  const names = (process.env.GEOCODING_PROVIDERS || 'nominatim').split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = names.filter((name) => !PROVIDER_FACTORIES[name]);
+  if (names.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown GEOCODING_PROVIDERS "${process.env.GEOCODING_PROVIDERS}"`);
+  }
+
+  const useDbCache = process.env.GEOCODING_DB_CACHE !== 'false';
+
+  return createGeocoder({
+    providers: names.map((name) => PROVIDER_FACTORIES[name]()),
+    memoryCache: createLruCache({ maxEntries: parseInt(process.env.GEOCODING_CACHE_SIZE, 10) || 1000 }),
+    dbCache: useDbCache ? createDbCache(require('../../config/database')) : null
+  });
+};
+
+const geocoder = createDefaultGeocoder();
+
+module.exports = {
+  geocoder,
+  createGeocoder,
+  createNominatimProvider,
+  createStubProvider
+};
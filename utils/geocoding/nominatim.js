@@ -0,0 +1,75 @@
+// OpenStreetMap Nominatim. Usage policy: at most 1 request per second and an identifying User-Agent.
+// Searches are biased towards Italy with a viewbox that does not exclude results elsewhere.
+const ITALY_VIEWBOX = '6.6,47.1,18.6,35.5';
+
+// Nominatim address details -> the shape the API returns
+const toPlace = (data) => {
+  const address = data.address || {};
+
+  // Extract street address (house number + road)
+  const houseNumber = address.house_number || '';
+  const road = address.road || '';
+  const streetAddress = houseNumber && road ? `${houseNumber}, ${road}` : road || address.street || '';
+
+  return {
+    display_name: data.display_name || '',
+    lat: Number(data.lat),
+    lng: Number(data.lon),
+    address: streetAddress,
+    city: address.city || address.town || address.village || address.municipality || '',
+    province: address.county || address.province || '',
+    province_code: address['ISO3166-2-lvl6'] || '',
+    region: address.state || address.region || '',
+    country_code: address.country_code || ''
+  };
+};
+
+const createNominatimProvider = ({
+  baseUrl = 'https://nominatim.openstreetmap.org',
+  userAgent = 'CalcioMapper/1.0 (https://calcio-mapper.vercel.app)',
+  email,
+  timeoutMs = 5000
+} = {}) => {
+  const request = async (pathname, params) => {
+    const query = new URLSearchParams({ format: 'json', addressdetails: '1', 'accept-language': 'it', ...params });
+    if (email) {
+      query.set('email', email);
+    }
+
+    const response = await fetch(`${baseUrl}${pathname}?${query}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': userAgent
+      },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'nominatim',
+    minIntervalMs: 1000,
+
+    async reverse(lat, lng) {
+      const data = await request('/reverse', { lat: String(lat), lon: String(lng) });
+      return data && data.address ? toPlace(data) : null;
+    },
+
+    async search(q, { limit = 5 } = {}) {
+      const data = await request('/search', {
+        q,
+        limit: String(limit),
+        viewbox: ITALY_VIEWBOX,
+        bounded: '0'
+      });
+      return Array.isArray(data) ? data.map(toPlace) : [];
+    }
+  };
+};
+
+module.exports = createNominatimProvider;
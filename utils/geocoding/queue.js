@@ -0,0 +1,37 @@
+// Runs tasks one at a time, at least minIntervalMs apart (Nominatim allows 1 request per second).
+// Tasks beyond maxPending are rejected straight away instead of waiting for minutes.
+const createRequestQueue = ({ minIntervalMs = 1000, maxPending = 20 } = {}) => {
+  let tail = Promise.resolve();
+  let lastStartedAt = 0;
+  let pending = 0;
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  return {
+    schedule(task) {
+      if (pending >= maxPending) {
+        const error = new Error('Geocoding queue is full');
+        error.code = 'GEOCODING_BUSY';
+        return Promise.reject(error);
+      }
+
+      pending++;
+      const run = tail.then(async () => {
+        const delay = lastStartedAt + minIntervalMs - Date.now();
+        if (delay > 0) {
+          await wait(delay);
+        }
+        lastStartedAt = Date.now();
+        return task();
+      });
+
+      // The next task waits for this one whatever its outcome
+      tail = run.catch(() => {}).finally(() => {
+        pending--;
+      });
+      return run;
+    }
+  };
+};
+
+module.exports = createRequestQueue;
@@ -0,0 +1,39 @@
+// Offline provider answering from a fixed list of places: for tests and local development without network
+const DEFAULT_PLACES = [
+  { display_name: 'Piazza del Duomo, Milano, Lombardia', lat: 45.4642, lng: 9.19, address: 'Piazza del Duomo', city: 'Milano', province: 'Milano', province_code: 'IT-MI', region: 'Lombardia', country_code: 'it' },
+  { display_name: 'Piazza Venezia, Roma, Lazio', lat: 41.8959, lng: 12.4823, address: 'Piazza Venezia', city: 'Roma', province: 'Roma Capitale', province_code: 'IT-RM', region: 'Lazio', country_code: 'it' },
+  { display_name: 'Piazza del Plebiscito, Napoli, Campania', lat: 40.8359, lng: 14.2488, address: 'Piazza del Plebiscito', city: 'Napoli', province: 'Napoli', province_code: 'IT-NA', region: 'Campania', country_code: 'it' },
+  { display_name: 'Piazza Castello, Torino, Piemonte', lat: 45.0712, lng: 7.6854, address: 'Piazza Castello', city: 'Torino', province: 'Torino', province_code: 'IT-TO', region: 'Piemonte', country_code: 'it' }
+];
+
+// Reverse lookups answer with the nearest place within maxDistanceKm
+const createStubProvider = ({ places = DEFAULT_PLACES, maxDistanceKm = 25 } = {}) => {
+  const distanceKm = (a, b) => {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+  };
+
+  return {
+    name: 'stub',
+    minIntervalMs: 0,
+    // Made-up answers: never written to the shared geocode_cache table
+    persistent: false,
+
+    async reverse(lat, lng) {
+      const nearest = places
+        .map((place) => ({ place, distance: distanceKm({ lat, lng }, place) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+      return nearest && nearest.distance <= maxDistanceKm ? { ...nearest.place } : null;
+    },
+
+    async search(q, { limit = 5 } = {}) {
+      const needle = q.toLowerCase();
+      return places.filter((place) => place.display_name.toLowerCase().includes(needle)).slice(0, limit);
+    }
+  };
+};
+
+module.exports = createStubProvider;
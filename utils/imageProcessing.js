@@ -0,0 +1,50 @@
+const sharp = require('sharp');
+
+// Resized variants generated for every uploaded field photo (longest side, in px)
+const IMAGE_VARIANTS = {
+  thumbnail: 200,
+  medium: 800,
+  original: 2560
+};
+
+// Magic bytes of the accepted formats; the declared mimetype is not trusted
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii'))) {
+    return 'gif';
+  }
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+};
+
+// Re-encode an upload to WebP variants. Orientation is applied from EXIF first; sharp writes no
+// metadata unless asked to, so EXIF (GPS included), XMP and ICC comments are stripped.
+// Resolves to { thumbnail, medium, original } buffers.
+const processImage = async (buffer) => {
+  const entries = await Promise.all(Object.entries(IMAGE_VARIANTS).map(async ([variant, size]) => {
+    const output = await sharp(buffer, { failOn: 'error' })
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: variant === 'thumbnail' ? 70 : 80 })
+      .toBuffer();
+    return [variant, output];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  detectImageType,
+  processImage
+};
@@ -0,0 +1,218 @@
+// Italian regions and provinces, used to store venues with a two-letter ISTAT sigla in `province`
+// and the canonical Italian name in `region`, whatever the client or the reverse geocoder sent.
+// Nominatim reports counties in several forms ("Città Metropolitana di Milano", "Roma Capitale",
+// "Provincia autonoma di Bolzano - Alto Adige"), bilingual names and sometimes English ones.
+
+const REGIONS = {
+  Abruzzo: [],
+  Basilicata: [],
+  Calabria: [],
+  Campania: [],
+  'Emilia-Romagna': [],
+  'Friuli-Venezia Giulia': ['Friuli Venezia Giulia'],
+  Lazio: ['Latium'],
+  Liguria: [],
+  Lombardia: ['Lombardy'],
+  Marche: [],
+  Molise: [],
+  Piemonte: ['Piedmont'],
+  Puglia: ['Apulia'],
+  Sardegna: ['Sardinia', 'Sardigna'],
+  Sicilia: ['Sicily'],
+  Toscana: ['Tuscany'],
+  'Trentino-Alto Adige': ['Trentino-Alto Adige/Südtirol', 'Trentino-South Tyrol', 'Trentino-Südtirol'],
+  Umbria: [],
+  "Valle d'Aosta": ["Vallée d'Aoste", "Valle d'Aosta/Vallée d'Aoste", 'Aosta Valley'],
+  Veneto: []
+};
+
+// [sigla, name, region, ...aliases]
+const PROVINCES = [
+  ['AL', 'Alessandria', 'Piemonte'],
+  ['AT', 'Asti', 'Piemonte'],
+  ['BI', 'Biella', 'Piemonte'],
+  ['CN', 'Cuneo', 'Piemonte'],
+  ['NO', 'Novara', 'Piemonte'],
+  ['TO', 'Torino', 'Piemonte', 'Turin'],
+  ['VB', 'Verbano-Cusio-Ossola', 'Piemonte'],
+  ['VC', 'Vercelli', 'Piemonte'],
+  ['AO', 'Aosta', "Valle d'Aosta", 'Aoste', "Vallée d'Aoste"],
+  ['BG', 'Bergamo', 'Lombardia'],
+  ['BS', 'Brescia', 'Lombardia'],
+  ['CO', 'Como', 'Lombardia'],
+  ['CR', 'Cremona', 'Lombardia'],
+  ['LC', 'Lecco', 'Lombardia'],
+  ['LO', 'Lodi', 'Lombardia'],
+  ['MN', 'Mantova', 'Lombardia', 'Mantua'],
+  ['MI', 'Milano', 'Lombardia', 'Milan'],
+  ['MB', 'Monza e della Brianza', 'Lombardia', 'Monza e Brianza', 'Monza Brianza'],
+  ['PV', 'Pavia', 'Lombardia'],
+  ['SO', 'Sondrio', 'Lombardia'],
+  ['VA', 'Varese', 'Lombardia'],
+  ['BZ', 'Bolzano', 'Trentino-Alto Adige', 'Bozen', 'Alto Adige', 'Südtirol', 'South Tyrol', 'Bolzano - Alto Adige', 'Bolzano - Bozen'],
+  ['TN', 'Trento', 'Trentino-Alto Adige', 'Trentino'],
+  ['BL', 'Belluno', 'Veneto'],
+  ['PD', 'Padova', 'Veneto', 'Padua'],
+  ['RO', 'Rovigo', 'Veneto'],
+  ['TV', 'Treviso', 'Veneto'],
+  ['VE', 'Venezia', 'Veneto', 'Venice'],
+  ['VR', 'Verona', 'Veneto'],
+  ['VI', 'Vicenza', 'Veneto'],
+  ['GO', 'Gorizia', 'Friuli-Venezia Giulia'],
+  ['PN', 'Pordenone', 'Friuli-Venezia Giulia'],
+  ['TS', 'Trieste', 'Friuli-Venezia Giulia'],
+  ['UD', 'Udine', 'Friuli-Venezia Giulia'],
+  ['GE', 'Genova', 'Liguria', 'Genoa'],
+  ['IM', 'Imperia', 'Liguria'],
+  ['SP', 'La Spezia', 'Liguria'],
+  ['SV', 'Savona', 'Liguria'],
+  ['BO', 'Bologna', 'Emilia-Romagna'],
+  ['FE', 'Ferrara', 'Emilia-Romagna'],
+  ['FC', 'Forlì-Cesena', 'Emilia-Romagna'],
+  ['MO', 'Modena', 'Emilia-Romagna'],
+  ['PR', 'Parma', 'Emilia-Romagna'],
+  ['PC', 'Piacenza', 'Emilia-Romagna'],
+  ['RA', 'Ravenna', 'Emilia-Romagna'],
+  ['RE', 'Reggio Emilia', 'Emilia-Romagna', "Reggio nell'Emilia"],
+  ['RN', 'Rimini', 'Emilia-Romagna'],
+  ['AR', 'Arezzo', 'Toscana'],
+  ['FI', 'Firenze', 'Toscana', 'Florence'],
+  ['GR', 'Grosseto', 'Toscana'],
+  ['LI', 'Livorno', 'Toscana'],
+  ['LU', 'Lucca', 'Toscana'],
+  ['MS', 'Massa-Carrara', 'Toscana', 'Massa e Carrara'],
+  ['PI', 'Pisa', 'Toscana'],
+  ['PT', 'Pistoia', 'Toscana'],
+  ['PO', 'Prato', 'Toscana'],
+  ['SI', 'Siena', 'Toscana'],
+  ['PG', 'Perugia', 'Umbria'],
+  ['TR', 'Terni', 'Umbria'],
+  ['AN', 'Ancona', 'Marche'],
+  ['AP', 'Ascoli Piceno', 'Marche'],
+  ['FM', 'Fermo', 'Marche'],
+  ['MC', 'Macerata', 'Marche'],
+  ['PU', 'Pesaro e Urbino', 'Marche', 'Pesaro-Urbino'],
+  ['FR', 'Frosinone', 'Lazio'],
+  ['LT', 'Latina', 'Lazio'],
+  ['RI', 'Rieti', 'Lazio'],
+  ['RM', 'Roma', 'Lazio', 'Roma Capitale', 'Rome'],
+  ['VT', 'Viterbo', 'Lazio'],
+  ['AQ', "L'Aquila", 'Abruzzo'],
+  ['CH', 'Chieti', 'Abruzzo'],
+  ['PE', 'Pescara', 'Abruzzo'],
+  ['TE', 'Teramo', 'Abruzzo'],
+  ['CB', 'Campobasso', 'Molise'],
+  ['IS', 'Isernia', 'Molise'],
+  ['AV', 'Avellino', 'Campania'],
+  ['BN', 'Benevento', 'Campania'],
+  ['CE', 'Caserta', 'Campania'],
+  ['NA', 'Napoli', 'Campania', 'Naples'],
+  ['SA', 'Salerno', 'Campania'],
+  ['BA', 'Bari', 'Puglia'],
+  ['BT', 'Barletta-Andria-Trani', 'Puglia'],
+  ['BR', 'Brindisi', 'Puglia'],
+  ['FG', 'Foggia', 'Puglia'],
+  ['LE', 'Lecce', 'Puglia'],
+  ['TA', 'Taranto', 'Puglia'],
+  ['MT', 'Matera', 'Basilicata'],
+  ['PZ', 'Potenza', 'Basilicata'],
+  ['CZ', 'Catanzaro', 'Calabria'],
+  ['CS', 'Cosenza', 'Calabria'],
+  ['KR', 'Crotone', 'Calabria'],
+  ['RC', 'Reggio Calabria', 'Calabria', 'Reggio di Calabria'],
+  ['VV', 'Vibo Valentia', 'Calabria'],
+  ['AG', 'Agrigento', 'Sicilia'],
+  ['CL', 'Caltanissetta', 'Sicilia'],
+  ['CT', 'Catania', 'Sicilia'],
+  ['EN', 'Enna', 'Sicilia'],
+  ['ME', 'Messina', 'Sicilia'],
+  ['PA', 'Palermo', 'Sicilia'],
+  ['RG', 'Ragusa', 'Sicilia'],
+  ['SR', 'Siracusa', 'Sicilia', 'Syracuse'],
+  ['TP', 'Trapani', 'Sicilia'],
+  ['CA', 'Cagliari', 'Sardegna'],
+  ['NU', 'Nuoro', 'Sardegna'],
+  ['OR', 'Oristano', 'Sardegna'],
+  ['SS', 'Sassari', 'Sardegna'],
+  ['SU', 'Sud Sardegna', 'Sardegna', 'South Sardinia'],
+  // Sardinian provinces dropped and later revived by the regional reforms; map data uses both layouts
+  ['CI', 'Sulcis Iglesiente', 'Sardegna', 'Carbonia-Iglesias'],
+  ['OG', 'Ogliastra', 'Sardegna'],
+  ['OT', 'Gallura Nord-Est Sardegna', 'Sardegna', 'Olbia-Tempio', 'Gallura'],
+  ['VS', 'Medio Campidano', 'Sardegna']
+];
+
+// Administrative prefixes the geocoder puts in front of the name
+const AREA_PREFIXES = [
+  'citta metropolitana di', 'metropolitan city of', 'provincia autonoma di', 'autonomous province of',
+  'libero consorzio comunale di', 'free municipal consortium of', 'provincia di', 'provincia del',
+  'provincia dell', 'provincia della', 'province of', 'regione autonoma', 'regione', 'region of'
+];
+
+// "Città Metropolitana di Forlì-Cesena" -> "citta metropolitana di forli cesena"
+const toKey = (value) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const stripPrefix = (key) => {
+  const prefix = AREA_PREFIXES.find((candidate) => key.startsWith(`${candidate} `));
+  return prefix ? key.slice(prefix.length + 1) : key;
+};
+
+const PROVINCE_BY_CODE = new Map(PROVINCES.map(([code, name, region]) => [code, { code, name, region }]));
+
+const PROVINCE_BY_KEY = new Map();
+PROVINCES.forEach(([code, name, , ...aliases]) => {
+  [name, ...aliases].forEach((label) => PROVINCE_BY_KEY.set(toKey(label), code));
+});
+
+const REGION_BY_KEY = new Map();
+Object.entries(REGIONS).forEach(([name, aliases]) => {
+  [name, ...aliases].forEach((label) => REGION_BY_KEY.set(toKey(label), name));
+});
+
+// Whole value first, then each side of a bilingual "Bolzano / Bozen" or "Valle d'Aosta / Vallée d'Aoste"
+const lookup = (table, value) => {
+  const candidates = [value, ...String(value).split(/\s*\/\s*/)];
+  for (const candidate of candidates) {
+    const key = stripPrefix(toKey(candidate));
+    if (table.has(key)) {
+      return table.get(key);
+    }
+  }
+  return null;
+};
+
+// Sigla ("MI"), ISO 3166-2 code ("IT-MI") or name in any of the known forms -> "MI"; null when unknown
+const normalizeProvince = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  const code = text.toUpperCase().replace(/^IT-/, '');
+  if (PROVINCE_BY_CODE.has(code)) {
+    return code;
+  }
+
+  return lookup(PROVINCE_BY_KEY, text);
+};
+
+// Any known form of a region name -> its canonical Italian name; null when unknown
+const normalizeRegion = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  return lookup(REGION_BY_KEY, value);
+};
+
+const regionOfProvince = (code) => (PROVINCE_BY_CODE.has(code) ? PROVINCE_BY_CODE.get(code).region : null);
+
+module.exports = {
+  normalizeProvince,
+  normalizeRegion,
+  regionOfProvince
+};
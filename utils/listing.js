@@ -0,0 +1,76 @@
+// Helpers shared by list endpoints: page-based pagination, sorting and sparse field selection
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+
+// Returns null when the client did not ask for pagination (legacy unpaginated array responses)
+const parsePagination = (query, { defaultLimit = DEFAULT_PAGE_LIMIT, maxLimit = MAX_PAGE_LIMIT } = {}) => {
+  if (query.page === undefined && query.limit === undefined) {
+    return null;
+  }
+
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'Parametro page non valido' };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return { error: `Parametro limit deve essere compreso tra 1 e ${maxLimit}` };
+  }
+
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// allowed maps a sort key to { column, direction } where direction is the default one
+const parseSort = (query, allowed, defaultKey) => {
+  const key = query.sort || defaultKey;
+
+  // Own keys only: ?sort=constructor must not match Object.prototype
+  if (!Object.prototype.hasOwnProperty.call(allowed, key)) {
+    return { error: `Parametro sort non valido. Valori ammessi: ${Object.keys(allowed).join(', ')}` };
+  }
+
+  let direction = allowed[key].direction;
+  if (query.order !== undefined) {
+    const order = String(query.order).toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+      return { error: 'Parametro order deve essere asc o desc' };
+    }
+    direction = order;
+  }
+
+  return { key, column: allowed[key].column, direction: direction.toUpperCase() };
+};
+
+// Returns null when no projection was requested, otherwise the list of selected keys (id always included)
+const parseFieldSelection = (query, allowed) => {
+  if (query.fields === undefined) {
+    return null;
+  }
+
+  const requested = String(query.fields).split(',').map((name) => name.trim()).filter(Boolean);
+  const invalid = requested.filter((name) => !allowed.includes(name));
+
+  if (requested.length === 0 || invalid.length > 0) {
+    return { error: `Campi non validi: ${invalid.join(', ') || '(nessuno)'}` };
+  }
+
+  return { keys: Array.from(new Set(['id', ...requested])) };
+};
+
+const buildPaginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  total_pages: Math.ceil(total / limit),
+  has_more: page * limit < total
+});
+
+module.exports = {
+  parsePagination,
+  parseSort,
+  parseFieldSelection,
+  buildPaginationMeta
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations: migrations/<version>_<name>.up.sql with a matching .down.sql.
+// Applied versions are recorded in schema_migrations; each migration runs in its own transaction.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.up\.sql$/;
+
+// Arbitrary constant shared by every runner, so two deploys cannot migrate at the same time
+const MIGRATION_LOCK_ID = 727274;
+
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .map((file) => file.match(MIGRATION_FILE))
+  .filter(Boolean)
+  .map(([file, version, name]) => ({
+    version,
+    name,
+    upFile: path.join(MIGRATIONS_DIR, file),
+    downFile: path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`)
+  }))
+  .sort((a, b) => Number(a.version) - Number(b.version));
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const appliedVersions = async (client) => {
+  const result = await client.query('SELECT version FROM schema_migrations');
+  return new Set(result.rows.map((row) => row.version));
+};
+
+// Every known migration with its applied flag. Read-only: without schema_migrations (a database that was
+// never migrated) it resolves to { initialized: false } and every migration pending.
+const migrationStatus = async (pool) => {
+  const table = await pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL as exists");
+  const initialized = table.rows[0].exists;
+  const applied = initialized ? await appliedVersions(pool) : new Set();
+  return {
+    initialized,
+    migrations: listMigrations().map(({ version, name }) => ({ version, name, applied: applied.has(version) }))
+  };
+};
+
+// Run fn(client) holding the migration lock
+const withMigrationLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, fn) => {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+// Apply pending migrations in order, up to and including targetVersion when given.
+// Resolves to the list of applied migrations.
+const migrateUp = async (pool, { targetVersion, log = console.log } = {}) => withMigrationLock(pool, async (client) => {
+  const applied = await appliedVersions(client);
+  const pending = listMigrations().filter((migration) => !applied.has(migration.version) &&
+    (targetVersion === undefined || Number(migration.version) <= Number(targetVersion)));
+
+  for (const migration of pending) {
+    log(`Applying ${migration.version}_${migration.name}`);
+    const sql = fs.readFileSync(migration.upFile, 'utf8');
+    await runInTransaction(client, async () => {
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    });
+  }
+
+  return pending;
+});
+
+// Roll back the most recent `steps` applied migrations. Resolves to the list of rolled back migrations.
+const migrateDown = async (pool, { steps = 1, log = console.log } = {}) => withMigrationLock(pool, async (client) => {
+  const applied = await appliedVersions(client);
+  const toRollBack = listMigrations().filter((migration) => applied.has(migration.version)).reverse().slice(0, steps);
+
+  for (const migration of toRollBack) {
+    if (!fs.existsSync(migration.downFile)) {
+      throw new Error(`Missing down migration for ${migration.version}_${migration.name}`);
+    }
+    log(`Rolling back ${migration.version}_${migration.name}`);
+    const sql = fs.readFileSync(migration.downFile, 'utf8');
+    await runInTransaction(client, async () => {
+      await client.query(sql);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    });
+  }
+
+  return toRollBack;
+});
+
+// Record migrations up to targetVersion as applied without running them, for databases created by the
+// old init-db endpoint
+const markApplied = async (pool, { targetVersion, log = console.log }) => withMigrationLock(pool, async (client) => {
+  const applied = await appliedVersions(client);
+  const toMark = listMigrations().filter((migration) => !applied.has(migration.version) &&
+    Number(migration.version) <= Number(targetVersion));
+
+  for (const migration of toMark) {
+    log(`Marking ${migration.version}_${migration.name} as applied`);
+    await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+  }
+
+  return toMark;
+});
+
+// Create an empty up/down pair with the next version number. Resolves to the created file paths.
+const createMigration = (name) => {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) {
+    throw new Error('Migration name required');
+  }
+
+  const last = listMigrations().pop();
+  const version = String(last ? Number(last.version) + 1 : 1).padStart(3, '0');
+  const upFile = path.join(MIGRATIONS_DIR, `${version}_${slug}.up.sql`);
+  const downFile = path.join(MIGRATIONS_DIR, `${version}_${slug}.down.sql`);
+
+  fs.writeFileSync(upFile, `-- ${name}\n`);
+  fs.writeFileSync(downFile, `-- Revert: ${name}\n`);
+  return [upFile, downFile];
+};
+
+module.exports = {
+  listMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  markApplied,
+  createMigration
+};
@@ -0,0 +1,227 @@
+// Weekly schedules in (a subset of) OpenStreetMap opening_hours syntax, e.g.
+//   "Mo-Fr 08:00-22:00; Sa 09:00-13:00,15:00-20:00; Su off"   or   "24/7"
+// Parsed schedules are stored as { mo: [[startMinute, endMinute], ...], ... } with minutes since
+// midnight and exclusive ends; ranges past midnight are split onto the following day.
+// Free-text values that do not look like OSM syntax are kept as legacy text (no schedule).
+
+const WEEKDAYS = ['mo', 'tu', 'we', 'th', 'fr', 'sa', 'su'];
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_ZONE = 'Europe/Rome';
+
+const WEEKDAY_PATTERN = '(?:Mo|Tu|We|Th|Fr|Sa|Su)';
+const TIME_RANGE_PATTERN = '\\d{1,2}:\\d{2}-\\d{1,2}:\\d{2}';
+const WEEKDAY_SELECTOR_PATTERN = `${WEEKDAY_PATTERN}(?:-${WEEKDAY_PATTERN})?(?:,${WEEKDAY_PATTERN}(?:-${WEEKDAY_PATTERN})?)*`;
+// A whole first rule is required, so Italian text such as "Su prenotazione" or "Sa e Do chiuso"
+// stays legacy instead of failing to parse
+const OSM_START = new RegExp(
+  `^(?:24/7$|${WEEKDAY_SELECTOR_PATTERN}\\s+(?:${TIME_RANGE_PATTERN}|off\\b|closed\\b)|${TIME_RANGE_PATTERN})`
+);
+
+const emptySchedule = () => WEEKDAYS.reduce((schedule, day) => {
+  schedule[day] = [];
+  return schedule;
+}, {});
+
+const looksLikeOsmOpeningHours = (text) => OSM_START.test(String(text || '').trim());
+
+const parseTime = (value) => {
+  const [hours, minutes] = value.split(':').map((part) => parseInt(part, 10));
+  if (minutes > 59 || hours > 48) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+// "Mo-Fr,Su" -> ['mo', 'tu', 'we', 'th', 'fr', 'su']
+const parseWeekdays = (selector) => {
+  const days = [];
+
+  for (const part of selector.split(',')) {
+    const [from, to] = part.split('-').map((day) => day.toLowerCase());
+    const start = WEEKDAYS.indexOf(from);
+    const end = to === undefined ? start : WEEKDAYS.indexOf(to);
+
+    if (start === -1 || end === -1) {
+      return null;
+    }
+
+    // Ranges may wrap around the week, e.g. "Sa-Mo"
+    for (let i = start; ; i = (i + 1) % 7) {
+      days.push(WEEKDAYS[i]);
+      if (i === end) {
+        break;
+      }
+    }
+  }
+
+  return days;
+};
+
+// "08:00-12:00,14:00-26:00" -> [[480, 720], [840, 1560]]
+const parseTimeRanges = (selector) => {
+  const ranges = [];
+
+  for (const part of selector.split(',')) {
+    const match = part.match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+    if (!match) {
+      return null;
+    }
+
+    const start = parseTime(match[1]);
+    let end = parseTime(match[2]);
+
+    if (start === null || end === null || start >= MINUTES_PER_DAY) {
+      return null;
+    }
+
+    // "22:00-02:00" means until 2am of the following day
+    if (end <= start) {
+      end += MINUTES_PER_DAY;
+    }
+
+    ranges.push([start, end]);
+  }
+
+  return ranges;
+};
+
+const mergeRanges = (ranges) => ranges
+  .slice()
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([range[0], range[1]]);
+    }
+    return merged;
+  }, []);
+
+// Returns { schedule } or { error }. Later rules override earlier ones for the days they name.
+const parseOpeningHours = (text) => {
+  const value = String(text || '').trim();
+
+  if (value === '24/7') {
+    const schedule = emptySchedule();
+    WEEKDAYS.forEach((day) => { schedule[day] = [[0, MINUTES_PER_DAY]]; });
+    return { schedule };
+  }
+
+  const ownRanges = emptySchedule();
+  const rules = value.split(';').map((rule) => rule.trim()).filter(Boolean);
+
+  if (rules.length === 0) {
+    return { error: 'Orari di apertura vuoti' };
+  }
+
+  for (const rule of rules) {
+    const tokens = rule.split(/\s+/);
+    let days = WEEKDAYS;
+    let selector = tokens[0];
+
+    if (new RegExp(`^${WEEKDAY_PATTERN}`).test(tokens[0])) {
+      days = parseWeekdays(tokens[0]);
+      if (!days) {
+        return { error: `Giorni non validi: "${tokens[0]}"` };
+      }
+      selector = tokens.slice(1).join('');
+    } else {
+      selector = tokens.join('');
+    }
+
+    if (selector === '') {
+      return { error: `Orario mancante in "${rule}"` };
+    }
+
+    if (selector === 'off' || selector === 'closed') {
+      days.forEach((day) => { ownRanges[day] = []; });
+      continue;
+    }
+
+    const ranges = parseTimeRanges(selector);
+    if (!ranges) {
+      return { error: `Orario non valido in "${rule}" (formato atteso: Mo-Fr 08:00-20:00)` };
+    }
+
+    days.forEach((day) => { ownRanges[day] = ranges; });
+  }
+
+  // Spill ranges that go past midnight onto the next day
+  const schedule = emptySchedule();
+  WEEKDAYS.forEach((day, index) => {
+    ownRanges[day].forEach(([start, end]) => {
+      schedule[day].push([start, Math.min(end, MINUTES_PER_DAY)]);
+      if (end > MINUTES_PER_DAY) {
+        schedule[WEEKDAYS[(index + 1) % 7]].push([0, end - MINUTES_PER_DAY]);
+      }
+    });
+  });
+  WEEKDAYS.forEach((day) => { schedule[day] = mergeRanges(schedule[day]); });
+
+  return { schedule };
+};
+
+// { day: 'mo'..'su', minute } of a Date in Italian local time
+const romeDayMinute = (date) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIME_ZONE,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    day: parts.weekday.slice(0, 2).toLowerCase(),
+    minute: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+// Date.UTC and the Date parser roll 2026-02-31 over to March: only accept days that exist
+const isRealDate = (year, month, dayOfMonth) => {
+  const date = new Date(Date.UTC(year, month - 1, dayOfMonth));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === dayOfMonth;
+};
+
+// open_at query value: "now", a local Italian time "2026-10-25T19:30", or an ISO date with offset
+const parseOpenAt = (value) => {
+  if (value === 'now') {
+    return romeDayMinute(new Date());
+  }
+
+  const local = String(value).match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/);
+  if (local) {
+    const [, year, month, dayOfMonth, hours, minutes] = local.map(Number);
+    if (!isRealDate(year, month, dayOfMonth) || hours > 23 || minutes > 59) {
+      return null;
+    }
+    const date = new Date(Date.UTC(year, month - 1, dayOfMonth));
+    return { day: WEEKDAYS[(date.getUTCDay() + 6) % 7], minute: hours * 60 + minutes };
+  }
+
+  const isoDate = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoDate && !isRealDate(...isoDate.slice(1).map(Number))) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : romeDayMinute(date);
+};
+
+const isOpenAt = (schedule, { day, minute }) => (schedule[day] || [])
+  .some(([start, end]) => start <= minute && minute < end);
+
+// null when the venue only has legacy free-text hours
+const isOpenNow = (schedule) => (schedule ? isOpenAt(schedule, romeDayMinute(new Date())) : null);
+
+module.exports = {
+  looksLikeOsmOpeningHours,
+  parseOpeningHours,
+  parseOpenAt,
+  isOpenAt,
+  isOpenNow
+};
@@ -0,0 +1,118 @@
+// Structured venue price lists. Each entry is a rate:
+//   { amount: 12.5, unit: 'hour' | 'session', sport?: 'tennis', residency?: 'any' | 'resident' | 'non_resident',
+//     period?: 'any' | 'day' | 'night', note?: 'con luci' }
+// The text `prices` column keeps a readable summary derived from the list for the detail popups.
+
+const PRICE_UNITS = ['hour', 'session'];
+const PRICE_RESIDENCIES = ['any', 'resident', 'non_resident'];
+const PRICE_PERIODS = ['any', 'day', 'night'];
+const MAX_PRICE_ENTRIES = 30;
+const MAX_PRICE_AMOUNT = 10000;
+
+const UNIT_LABELS = { hour: '/ora', session: '/sessione' };
+const RESIDENCY_LABELS = { resident: 'residenti', non_resident: 'non residenti' };
+const PERIOD_LABELS = { day: 'diurno', night: 'notturno' };
+
+const optionalText = (value, maxLength) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  return text.length <= maxLength ? text : undefined;
+};
+
+// Returns { priceList } (null when the client sent nothing) or { error }
+const validatePriceList = (raw) => {
+  if (raw === undefined || raw === null) {
+    return { priceList: null };
+  }
+
+  if (!Array.isArray(raw)) {
+    return { error: 'price_list deve essere una lista di tariffe' };
+  }
+
+  if (raw.length > MAX_PRICE_ENTRIES) {
+    return { error: `Massimo ${MAX_PRICE_ENTRIES} tariffe per impianto` };
+  }
+
+  const priceList = [];
+
+  for (const [index, entry] of raw.entries()) {
+    const position = `Tariffa ${index + 1}`;
+
+    if (!entry || typeof entry !== 'object') {
+      return { error: `${position}: formato non valido` };
+    }
+
+    const amount = Number(entry.amount);
+    if (entry.amount === '' || entry.amount === null || !Number.isFinite(amount) || amount < 0 || amount > MAX_PRICE_AMOUNT) {
+      return { error: `${position}: importo non valido` };
+    }
+
+    if (!PRICE_UNITS.includes(entry.unit)) {
+      return { error: `${position}: unità deve essere una tra ${PRICE_UNITS.join(', ')}` };
+    }
+
+    const residency = entry.residency === undefined ? 'any' : entry.residency;
+    if (!PRICE_RESIDENCIES.includes(residency)) {
+      return { error: `${position}: residenza deve essere una tra ${PRICE_RESIDENCIES.join(', ')}` };
+    }
+
+    const period = entry.period === undefined ? 'any' : entry.period;
+    if (!PRICE_PERIODS.includes(period)) {
+      return { error: `${position}: fascia deve essere una tra ${PRICE_PERIODS.join(', ')}` };
+    }
+
+    const sport = optionalText(entry.sport, 50);
+    const note = optionalText(entry.note, 100);
+    if (sport === undefined || note === undefined) {
+      return { error: `${position}: testo troppo lungo` };
+    }
+
+    priceList.push({
+      amount: Math.round(amount * 100) / 100,
+      unit: entry.unit,
+      sport,
+      residency,
+      period,
+      note
+    });
+  }
+
+  return { priceList };
+};
+
+const formatAmount = (amount) => (amount === 0
+  ? 'gratuito'
+  : `${amount.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €`);
+
+// "Tennis: 12,00 €/ora (residenti, diurno); Padel: 20,00 €/sessione"
+const summarizePriceList = (priceList) => {
+  if (!priceList || priceList.length === 0) {
+    return null;
+  }
+
+  return priceList.map((entry) => {
+    const conditions = [RESIDENCY_LABELS[entry.residency], PERIOD_LABELS[entry.period], entry.note].filter(Boolean);
+    const sport = entry.sport ? `${entry.sport.charAt(0).toUpperCase()}${entry.sport.slice(1)}: ` : '';
+    const unit = entry.amount === 0 ? '' : UNIT_LABELS[entry.unit];
+    const suffix = conditions.length > 0 ? ` (${conditions.join(', ')})` : '';
+    return `${sport}${formatAmount(entry.amount)}${unit}${suffix}`;
+  }).join('; ');
+};
+
+// Cheapest and most expensive rate, stored on the venue for the max_price and free filters
+const priceBounds = (priceList) => {
+  if (!priceList || priceList.length === 0) {
+    return { min_price: null, max_price: null };
+  }
+
+  const amounts = priceList.map((entry) => entry.amount);
+  return { min_price: Math.min(...amounts), max_price: Math.max(...amounts) };
+};
+
+module.exports = {
+  validatePriceList,
+  summarizePriceList,
+  priceBounds
+};
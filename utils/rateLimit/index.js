@@ -0,0 +1,125 @@
+const createMemoryStore = require('./memoryStore');
+const createRedisStore = require('./redisStore');
+
+// Rate limits per route group. Each group can be tuned with RATE_LIMIT_<GROUP>_MAX and
+// RATE_LIMIT_<GROUP>_WINDOW_MS; RATE_LIMIT_STORE=redis (with REDIS_URL) shares counters across instances.
+const RATE_LIMIT_DEFAULTS = {
+  auth: { max: 20, windowMs: 15 * 60 * 1000 },
+  // Username/email availability checks, called while the register form is being typed in
+  availability: { max: 120, windowMs: 15 * 60 * 1000 },
+  uploads: { max: 30, windowMs: 60 * 60 * 1000 },
+  reports: { max: 10, windowMs: 60 * 60 * 1000 },
+  geocoding: { max: 60, windowMs: 60 * 1000 }
+};
+
+// Failed logins per account before it is locked; each further failure doubles the lock, up to the max
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MS, 10) || 60 * 60 * 1000;
+const LOGIN_LOCK_BASE_MS = parseInt(process.env.LOGIN_LOCK_BASE_MS, 10) || 60 * 1000;
+const LOGIN_LOCK_MAX_MS = parseInt(process.env.LOGIN_LOCK_MAX_MS, 10) || 60 * 60 * 1000;
+
+const store = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase() === 'redis'
+  ? createRedisStore({ url: process.env.REDIS_URL })
+  : createMemoryStore();
+
+const groupConfig = (group) => {
+  const defaults = RATE_LIMIT_DEFAULTS[group];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit group "${group}"`);
+  }
+  const envName = `RATE_LIMIT_${group.toUpperCase()}`;
+  return {
+    max: parseInt(process.env[`${envName}_MAX`], 10) || defaults.max,
+    windowMs: parseInt(process.env[`${envName}_WINDOW_MS`], 10) || defaults.windowMs
+  };
+};
+
+const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+const tooManyRequests = (res, resetAt, message) => {
+  const retryAfter = secondsUntil(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: message || `Troppe richieste, riprova tra ${retryAfter} secondi`,
+    retry_after: retryAfter
+  });
+};
+
+// Per-user when authenticated (use after auth), otherwise per-IP
+const defaultKey = (req) => (req.user ? `user:${req.user.userId}` : `ip:${req.ip}`);
+
+// Middleware limiting a route group. A store failure lets the request through rather than taking the API down.
+const rateLimit = (group, { keyGenerator = defaultKey } = {}) => {
+  const { max, windowMs } = groupConfig(group);
+
+  return async (req, res, next) => {
+    let hit;
+    try {
+      hit = await store.increment(`${group}:${keyGenerator(req)}`, windowMs);
+    } catch (error) {
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - hit.count)));
+    res.set('RateLimit-Reset', String(secondsUntil(hit.resetAt)));
+
+    if (hit.count > max) {
+      return tooManyRequests(res, hit.resetAt);
+    }
+    next();
+  };
+};
+
+// account identifies what is locked: the user id of a known account, so its username and email
+// share one counter, otherwise the submitted name
+const accountKey = (account) => String(account || '').trim().toLowerCase();
+
+// The login lock fails open like rateLimit: a store failure is logged and the login goes on unlocked
+
+// Resolves to the lock { resetAt } of an account, or null when it may try to log in
+const getLoginLock = async (account) => {
+  try {
+    return await store.get(`login-lock:${accountKey(account)}`);
+  } catch (error) {
+    console.error('Login lock store error:', error);
+    return null;
+  }
+};
+
+// Count a failed login; resolves to the new lock { resetAt } when this failure locks the account
+const recordLoginFailure = async (account) => {
+  const key = accountKey(account);
+
+  try {
+    const failures = await store.increment(`login-fail:${key}`, LOGIN_FAILURE_WINDOW_MS);
+
+    if (failures.count < LOGIN_MAX_FAILURES) {
+      return null;
+    }
+
+    const lockMs = Math.min(LOGIN_LOCK_BASE_MS * 2 ** (failures.count - LOGIN_MAX_FAILURES), LOGIN_LOCK_MAX_MS);
+    await store.reset(`login-lock:${key}`);
+    return await store.increment(`login-lock:${key}`, lockMs);
+  } catch (error) {
+    console.error('Login lock store error:', error);
+    return null;
+  }
+};
+
+const clearLoginFailures = async (account) => {
+  try {
+    await store.reset(`login-fail:${accountKey(account)}`);
+  } catch (error) {
+    console.error('Login lock store error:', error);
+  }
+};
+
+module.exports = {
+  rateLimit,
+  tooManyRequests,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,46 @@
+// Fixed-window counters kept in process memory. Fine for a single instance; use the Redis store when the
+// API runs on several instances so they share counters.
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, cleanupIntervalMs);
+  cleanup.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,41 @@
+// Fixed-window counters in Redis (node-redis v4), shared by every API instance
+const createRedisStore = ({ url, prefix = 'ratelimit:' }) => {
+  // Loaded here so deploys using the memory store do not need the Redis client installed
+  const { createClient } = require('redis');
+
+  const client = createClient({ url });
+  client.on('error', (error) => console.error('Redis rate limit store error:', error));
+  const ready = client.connect();
+
+  return {
+    name: 'redis',
+
+    async increment(key, windowMs) {
+      await ready;
+      const [count, ttl] = await client.multi().incr(prefix + key).pTTL(prefix + key).exec();
+
+      // First hit of the window (or a key left without expiry): start the window now
+      if (ttl < 0) {
+        await client.pExpire(prefix + key, windowMs);
+        return { count, resetAt: Date.now() + windowMs };
+      }
+      return { count, resetAt: Date.now() + ttl };
+    },
+
+    async get(key) {
+      await ready;
+      const [count, ttl] = await client.multi().get(prefix + key).pTTL(prefix + key).exec();
+      if (count === null || ttl < 0) {
+        return null;
+      }
+      return { count: parseInt(count, 10), resetAt: Date.now() + ttl };
+    },
+
+    async reset(key) {
+      await ready;
+      await client.del(prefix + key);
+    }
+  };
+};
+
+module.exports = createRedisStore;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque random strings whose SHA-256 is kept in
+// user_sessions and replaced on every refresh. Presenting an already-rotated refresh token means it was
+// copied, so the whole session is revoked.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Whether a users row is under an active ban (banned_until NULL means permanent)
+const isBanned = (user) => Boolean(user.banned_at) && (!user.banned_until || new Date(user.banned_until) > new Date());
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, username: user.username, role: user.role, is_admin: user.role === 'admin', sid: sessionId },
+  process.env.JWT_SECRET || 'fallback_secret',
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Seconds until an access token expires, for the client to schedule its refresh
+const accessTokenExpiresIn = (token) => {
+  const { exp } = jwt.decode(token);
+  return exp - Math.floor(Date.now() / 1000);
+};
+
+const tokenResponse = (user, sessionId, refreshToken) => {
+  const token = signAccessToken(user, sessionId);
+  return { token, refresh_token: refreshToken, expires_in: accessTokenExpiresIn(token) };
+};
+
+// Open a session for a user who just authenticated; resolves to { token, refresh_token, expires_in }
+const createSession = async (db, user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const result = await db.query(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `, [
+    user.id,
+    hashToken(refreshToken),
+    (req.get('User-Agent') || '').slice(0, 255) || null,
+    req.ip || null,
+    refreshExpiry()
+  ]);
+
+  return tokenResponse(user, result.rows[0].id, refreshToken);
+};
+
+// Exchange a refresh token for a new pair. Resolves to null when the token is unknown, expired or revoked.
+const rotateSession = async (client, refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const sessionResult = await client.query(`
+    SELECT s.*, u.username, u.role, u.banned_at, u.banned_until
+    FROM user_sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.refresh_token_hash = $1
+    FOR UPDATE OF s
+  `, [tokenHash]);
+
+  if (sessionResult.rows.length === 0) {
+    // Reuse of a token that was already rotated: revoke the session it belonged to
+    await client.query(`
+      UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE previous_token_hash = $1 AND revoked_at IS NULL
+    `, [tokenHash]);
+    return null;
+  }
+
+  const session = sessionResult.rows[0];
+  if (session.revoked_at || new Date(session.expires_at) <= new Date() || isBanned(session)) {
+    return null;
+  }
+
+  const nextToken = newRefreshToken();
+  await client.query(`
+    UPDATE user_sessions SET
+      previous_token_hash = refresh_token_hash,
+      refresh_token_hash = $1,
+      last_used_at = CURRENT_TIMESTAMP,
+      expires_at = $2
+    WHERE id = $3
+  `, [hashToken(nextToken), refreshExpiry(), session.id]);
+
+  return tokenResponse({ id: session.user_id, username: session.username, role: session.role }, session.id, nextToken);
+};
+
+// Revoke the session holding a refresh token; resolves to whether one was revoked
+const revokeSessionByToken = async (db, refreshToken) => {
+  const result = await db.query(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+    RETURNING id
+  `, [hashToken(refreshToken)]);
+  return result.rows.length > 0;
+};
+
+// Revoke every active session of a user (password change or reset)
+const revokeAllSessions = async (db, userId) => {
+  await db.query(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+module.exports = {
+  isBanned,
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeAllSessions
+};
@@ -0,0 +1,44 @@
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+// Storage backend for uploaded files, chosen with STORAGE_DRIVER (local | s3).
+// Every driver exposes put(key, buffer, contentType) -> url, remove(key) and keyFromUrl(url).
+const createStorage = (env = process.env) => {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 'local') {
+    return createLocalStorage({ rootDir: env.LOCAL_UPLOAD_DIR || 'uploads', urlPrefix: '/uploads' });
+  }
+
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: env.S3_PUBLIC_URL
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+};
+
+const storage = createStorage();
+
+// Delete a stored file by its public URL; URLs from another backend (e.g. before a migration) are skipped
+const removeByUrl = async (url) => {
+  const key = storage.keyFromUrl(url);
+  if (!key) {
+    console.warn('Not removing file outside the configured storage:', url);
+    return;
+  }
+  await storage.remove(key);
+};
+
+module.exports = {
+  storage,
+  removeByUrl,
+  createStorage
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files under a local directory served by express.static at urlPrefix (see server.js)
+const createLocalStorage = ({ rootDir = 'uploads', urlPrefix = '/uploads' } = {}) => {
+  const filePath = (key) => path.join(rootDir, key);
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.promises.writeFile(filePath(key), buffer);
+      return `${urlPrefix}/${key}`;
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+
+    // Key of a URL produced by put(), or null for URLs this driver does not own
+    keyFromUrl(url) {
+      return url && url.startsWith(`${urlPrefix}/`) ? url.slice(urlPrefix.length + 1) : null;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
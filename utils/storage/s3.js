@@ -0,0 +1,46 @@
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, R2...). publicUrl is the base URL objects
+// are served from; it defaults to path-style `${endpoint}/${bucket}`.
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET');
+  }
+
+  // Loaded here so local-disk deploys do not need the AWS SDK installed
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const baseUrl = (publicUrl || (endpoint
+    ? `${endpoint}/${bucket}`
+    : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    keyFromUrl(url) {
+      return url && url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null;
+    }
+  };
+};
+
+module.exports = createS3Storage;
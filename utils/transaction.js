@@ -0,0 +1,20 @@
+const pool = require('../config/database');
+
+// Run fn(client) inside BEGIN/COMMIT on a dedicated client, rolling back if it throws
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,126 @@
+// Edit history of sports venues: every change is stored in venue_revisions with a field-level diff
+// and a snapshot of the resulting state, so any revision can be restored later.
+
+// Venue columns tracked by the history (and restored by a revert)
+const EDITABLE_VENUE_COLUMNS = [
+  'name', 'description', 'latitude', 'longitude', 'address', 'city', 'province', 'region',
+  'surface_type', 'venue_type', 'sport_type', 'is_public', 'has_lighting', 'has_changing_rooms',
+  'has_parking', 'opening_hours', 'opening_hours_schedule', 'prices', 'price_list', 'min_price', 'max_price'
+];
+
+// DECIMAL columns come back from pg as padded strings ("45.46420000"), so compare them as numbers
+const NUMERIC_VENUE_COLUMNS = ['latitude', 'longitude', 'min_price', 'max_price'];
+
+// JSONB comes back from pg with its own key order, so serialise objects with sorted keys
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const normalizeValue = (value, column) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (NUMERIC_VENUE_COLUMNS.includes(column) && Number.isFinite(Number(value))) {
+    return String(Number(value));
+  }
+  return typeof value === 'object' ? stableStringify(value) : String(value);
+};
+
+// JSONB columns are sent as JSON text (pg would turn a JS array into a Postgres array)
+const toDbValue = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+
+const pickEditable = (row) => EDITABLE_VENUE_COLUMNS.reduce((snapshot, column) => {
+  snapshot[column] = row[column] === undefined ? null : row[column];
+  return snapshot;
+}, {});
+
+// { column: { from, to } } for every editable column whose value changed
+const diffVenue = (before, after) => EDITABLE_VENUE_COLUMNS.reduce((changes, column) => {
+  if (normalizeValue(before[column], column) !== normalizeValue(after[column], column)) {
+    changes[column] = {
+      from: before[column] === undefined ? null : before[column],
+      to: after[column] === undefined ? null : after[column]
+    };
+  }
+  return changes;
+}, {});
+
+// db can be the pool or a transaction client
+const recordRevision = async (db, { venueId, before, after, userId, action, revertedToRevisionId = null }) => {
+  const changes = before ? diffVenue(before, after) : {};
+
+  const next = await db.query(
+    'SELECT COALESCE(MAX(revision_number), 0) + 1 as next FROM venue_revisions WHERE venue_id = $1',
+    [venueId]
+  );
+
+  const result = await db.query(`
+    INSERT INTO venue_revisions (
+      venue_id, revision_number, action, edited_by_user_id, changes, snapshot, reverted_to_revision_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    venueId, next.rows[0].next, action, userId,
+    JSON.stringify(changes), JSON.stringify(pickEditable(after)), revertedToRevisionId
+  ]);
+
+  return result.rows[0];
+};
+
+// Venues created before the history existed get their current state stored as revision 1
+const ensureBaselineRevision = async (db, venue) => {
+  const existing = await db.query('SELECT 1 FROM venue_revisions WHERE venue_id = $1 LIMIT 1', [venue.id]);
+  if (existing.rows.length > 0) {
+    return;
+  }
+
+  await db.query(`
+    INSERT INTO venue_revisions (venue_id, revision_number, action, edited_by_user_id, changes, snapshot, created_at)
+    VALUES ($1, 1, 'create', $2, '{}', $3, $4)
+  `, [venue.id, venue.added_by_user_id, JSON.stringify(pickEditable(venue)), venue.created_at]);
+};
+
+// Overwrite the editable columns of a venue and record the revision. Must run inside a transaction.
+// Returns null when the venue does not exist; revision is null when nothing actually changed.
+const updateVenueWithRevision = async (client, venueId, values, userId, { action = 'update', revertedToRevisionId = null } = {}) => {
+  const current = await client.query('SELECT * FROM sports_venues WHERE id = $1 FOR UPDATE', [venueId]);
+  if (current.rows.length === 0) {
+    return null;
+  }
+
+  const before = current.rows[0];
+  await ensureBaselineRevision(client, before);
+
+  const setClause = EDITABLE_VENUE_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ');
+  const result = await client.query(`
+    UPDATE sports_venues SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${EDITABLE_VENUE_COLUMNS.length + 1}
+    RETURNING *
+  `, [...EDITABLE_VENUE_COLUMNS.map((column) => toDbValue(values[column])), venueId]);
+
+  const after = result.rows[0];
+
+  if (Object.keys(diffVenue(before, after)).length === 0) {
+    return { venue: after, revision: null };
+  }
+
+  const revision = await recordRevision(client, {
+    venueId, before, after, userId, action, revertedToRevisionId
+  });
+
+  return { venue: after, revision };
+};
+
+module.exports = {
+  EDITABLE_VENUE_COLUMNS,
+  pickEditable,
+  diffVenue,
+  recordRevision,
+  updateVenueWithRevision
+};